@@ -0,0 +1,239 @@
+// src/connection.js
+const net = require('net')
+const { EventEmitter } = require('events')
+const { EtlFrameDecoder } = require('./protocol')
+
+/**
+ * One long lived TCP session to the matrix.
+ * Requests go through a FIFO queue, only one is on the wire at a time and
+ * the next reply frame accepted by its `match` predicate resolves it.
+ * Frames that fail the decoder's checks are never matched: the request on the
+ * wire is rejected with the FrameError instead.
+ * Emits 'connected', 'disconnected' and 'connect_failed' (with an Error),
+ * 'unsolicited' (frame) and 'bad_frame' (frame, FrameError).
+ */
+class EtlConnection extends EventEmitter {
+	constructor({
+		host,
+		port,
+		replyTimeoutMs = 1500,
+		queueTimeoutMs = 5000,
+		reconnectMs = 2000,
+		keepaliveMs = 3000,
+		keepaliveMessage = null,
+		maxMissedReplies = 2,
+		decoder = new EtlFrameDecoder(),
+		logger = () => {},
+	}) {
+		super()
+		this.host = host
+		this.port = port
+		this.replyTimeoutMs = replyTimeoutMs
+		this.queueTimeoutMs = queueTimeoutMs
+		this.reconnectMs = reconnectMs
+		this.keepaliveMs = keepaliveMs
+		this.keepaliveMessage = keepaliveMessage
+		this.maxMissedReplies = maxMissedReplies
+		this.decoder = decoder
+		this.logger = logger
+
+		this.socket = null
+		this.connected = false
+		this.destroyed = false
+		this.queue = []
+		this.inFlight = null
+		this.missedReplies = 0
+		this.lastActivity = 0
+		this.reconnectTimer = null
+		this.keepaliveTimer = null
+		this.lastError = null
+		this.lastFailure = null
+	}
+
+	connect() {
+		if (this.destroyed || this.socket) return
+		const socket = new net.Socket()
+		this.socket = socket
+		this.decoder.reset()
+		socket.setNoDelay(true)
+		socket.setKeepAlive(true, this.keepaliveMs)
+
+		socket.on('connect', () => {
+			this.connected = true
+			this.missedReplies = 0
+			this.lastActivity = Date.now()
+			this.logger(`Connected to ${this.host}:${this.port}`)
+			this.startKeepalive()
+			this.emit('connected')
+			this.pump()
+		})
+		socket.on('data', (buf) => this.onData(buf))
+		socket.on('error', (err) => {
+			this.logger(`Socket error: ${err?.message || err}`)
+			this.lastError = err
+		})
+		socket.on('close', () => {
+			const err = this.lastError || new Error('Connection closed')
+			this.lastError = null
+			this.teardown(err)
+			if (!this.destroyed) this.scheduleReconnect()
+		})
+
+		socket.connect(this.port, this.host)
+	}
+
+	/** Close the session for good: no reconnect, pending requests are rejected. */
+	destroy() {
+		this.destroyed = true
+		if (this.reconnectTimer) {
+			clearTimeout(this.reconnectTimer)
+			this.reconnectTimer = null
+		}
+		this.teardown(new Error('Connection destroyed'))
+	}
+
+	/**
+	 * Queue a message and wait for its reply.
+	 * `match(frame)` decides whether a received frame answers this request.
+	 * With `optionalReply` a reply timeout resolves '' instead of rejecting,
+	 * for commands the matrix may not acknowledge.
+	 */
+	request(message, { match = () => true, optionalReply = false, timeoutMs = this.replyTimeoutMs } = {}) {
+		if (this.destroyed) return Promise.reject(new Error('Connection destroyed'))
+		// between reconnect attempts there is nothing to wait for
+		if (!this.socket) return Promise.reject(new Error(this.lastFailure?.message || 'Not connected'))
+		return new Promise((resolve, reject) => {
+			const entry = { message, match, optionalReply, timeoutMs, resolve, reject, timer: null }
+			// bound how long a request may wait for the link to come up
+			entry.timer = setTimeout(() => {
+				this.removeEntry(entry)
+				reject(new Error('TCP overall timeout'))
+			}, this.queueTimeoutMs)
+			this.queue.push(entry)
+			this.pump()
+		})
+	}
+
+	// ---------- internals ----------
+	pump() {
+		if (!this.connected || this.inFlight || !this.queue.length) return
+		const entry = this.queue.shift()
+		clearTimeout(entry.timer)
+		this.inFlight = entry
+		this.lastActivity = Date.now()
+		this.logger(`TX: ${JSON.stringify(entry.message)}`)
+		this.socket.write(entry.message, 'ascii')
+		entry.timer = setTimeout(() => this.onReplyTimeout(entry), entry.timeoutMs)
+	}
+
+	onData(buf) {
+		this.lastActivity = Date.now()
+		for (const { frame, error } of this.decoder.push(buf.toString('ascii'))) {
+			if (error) this.onBadFrame(frame, error)
+			else this.onFrame(frame)
+		}
+	}
+
+	onBadFrame(frame, error) {
+		this.logger(`RX rejected (${error.message}): ${JSON.stringify(frame)}`)
+		this.emit('bad_frame', frame, error)
+		// the link is alive, but whatever was on the wire got a damaged answer
+		const entry = this.inFlight
+		if (entry) {
+			this.finish(entry)
+			this.missedReplies = 0
+			entry.reject(error)
+		}
+	}
+
+	onFrame(frame) {
+		const entry = this.inFlight
+		if (entry && entry.match(frame)) {
+			this.finish(entry)
+			this.missedReplies = 0
+			entry.resolve(frame)
+			return
+		}
+		this.logger(`RX unsolicited: ${JSON.stringify(frame)}`)
+		this.emit('unsolicited', frame)
+	}
+
+	onReplyTimeout(entry) {
+		if (this.inFlight !== entry) return
+		this.finish(entry)
+		if (entry.optionalReply) {
+			entry.resolve('')
+			return
+		}
+		this.missedReplies++
+		entry.reject(new Error('Reply timeout'))
+		if (this.missedReplies >= this.maxMissedReplies && this.socket) {
+			this.logger(`No reply to ${this.missedReplies} requests, dropping link`)
+			this.lastError = new Error('Link dead: no replies')
+			this.socket.destroy()
+		}
+	}
+
+	finish(entry) {
+		clearTimeout(entry.timer)
+		if (this.inFlight === entry) this.inFlight = null
+		setImmediate(() => this.pump())
+	}
+
+	removeEntry(entry) {
+		const idx = this.queue.indexOf(entry)
+		if (idx >= 0) this.queue.splice(idx, 1)
+	}
+
+	startKeepalive() {
+		this.stopKeepalive()
+		if (!this.keepaliveMessage || !(this.keepaliveMs > 0)) return
+		this.keepaliveTimer = setInterval(
+			() => {
+				if (!this.connected || this.inFlight || this.queue.length) return
+				if (Date.now() - this.lastActivity < this.keepaliveMs) return
+				const { message, match } = this.keepaliveMessage
+				this.request(message, { match }).catch((e) => this.logger(`Keepalive failed: ${e?.message || e}`))
+			},
+			Math.max(250, Math.floor(this.keepaliveMs / 2)),
+		)
+	}
+	stopKeepalive() {
+		if (this.keepaliveTimer) {
+			clearInterval(this.keepaliveTimer)
+			this.keepaliveTimer = null
+		}
+	}
+
+	scheduleReconnect() {
+		if (this.reconnectTimer || this.destroyed) return
+		this.reconnectTimer = setTimeout(() => {
+			this.reconnectTimer = null
+			this.connect()
+		}, this.reconnectMs)
+	}
+
+	teardown(err) {
+		const wasConnected = this.connected
+		this.lastFailure = err
+		this.connected = false
+		this.stopKeepalive()
+		if (this.socket) {
+			this.socket.removeAllListeners()
+			this.socket.on('error', () => {})
+			this.socket.destroy()
+			this.socket = null
+		}
+		const pending = this.inFlight ? [this.inFlight, ...this.queue] : this.queue.slice()
+		this.inFlight = null
+		this.queue = []
+		for (const entry of pending) {
+			clearTimeout(entry.timer)
+			entry.reject(err)
+		}
+		if (wasConnected) this.emit('disconnected', err)
+		else if (!this.destroyed) this.emit('connect_failed', err)
+	}
+}
+
+module.exports = { EtlConnection }
@@ -0,0 +1,52 @@
+// src/http-api.js
+//
+// Plumbing for the JSON API Companion forwards to handleHttpRequest as
+// /instance/<label>/<path>. The endpoints themselves live on the instance.
+
+const crypto = require('crypto')
+
+/** Response with a JSON body. */
+function jsonResponse(status, data) {
+	return {
+		status,
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify(data),
+	}
+}
+
+/** Parse a request body that must be a JSON object. Throws with a readable message. */
+function parseJsonBody(body) {
+	let data
+	try {
+		data = JSON.parse(String(body ?? '') || '{}')
+	} catch (e) {
+		throw new Error(`body is not valid JSON: ${e.message}`)
+	}
+	if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('body must be a JSON object')
+	return data
+}
+
+/** Token a client sent, from `Authorization: Bearer`, `X-Api-Token` or `?token=`. */
+function requestToken(request) {
+	const headers = Object.fromEntries(Object.entries(request.headers ?? {}).map(([k, v]) => [k.toLowerCase(), v]))
+	const bearer = String(headers.authorization ?? '').match(/^Bearer\s+(.+)$/i)
+	return String(bearer?.[1] ?? headers['x-api-token'] ?? request.query?.token ?? '').trim()
+}
+
+/** True when no token is configured, or the request carries the same one. */
+function tokenAccepted(request, token) {
+	const want = String(token ?? '').trim()
+	if (!want) return true
+	const got = Buffer.from(requestToken(request))
+	const expected = Buffer.from(want)
+	return got.length === expected.length && crypto.timingSafeEqual(got, expected)
+}
+
+/** A port number from a JSON field, numbers and numeric strings only. NaN otherwise. */
+function portField(value) {
+	if (typeof value === 'number') return value
+	if (typeof value === 'string' && /^\s*\d+\s*$/.test(value)) return Number(value)
+	return NaN
+}
+
+module.exports = { jsonResponse, parseJsonBody, requestToken, tokenAccepted, portField }
@@ -1,8 +1,22 @@
 // src/main.js
 const { InstanceBase, InstanceStatus, Regex, runEntrypoint } = require('@companion-module/base')
-const net = require('net')
+const { EtlConnection } = require('./connection')
+const { pkt, EtlFrameDecoder, FrameError } = require('./protocol')
+const { snapshotFormat, buildSnapshot, formatSnapshot, parseSnapshot } = require('./snapshot')
+const { jsonResponse, parseJsonBody, tokenAccepted, portField } = require('./http-api')
+const { createEntry, nextStart, revertAt, formatTime, formatCountdown, describeEntry } = require('./schedule')
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
 
 // ---------- helpers ----------
+/** Alarm flags reported by `?` and `Q`, in wire order. 'O' is ok, anything else is an alarm. */
+const ALARMS = [
+	{ id: 'psu1', variableId: 'psu1_ok', feedbackId: 'psu1Alarm', label: 'PSU1' },
+	{ id: 'psu2', variableId: 'psu2_ok', feedbackId: 'psu2Alarm', label: 'PSU2' },
+	{ id: 'link', variableId: 'link_ok', feedbackId: 'linkAlarm', label: 'Interlink' },
+	{ id: 'summary', variableId: 'summary_alarm_ok', feedbackId: 'summaryAlarm', label: 'Summary' },
+]
 function pad3(n) {
 	return String(n).padStart(3, '0')
 }
@@ -10,69 +24,138 @@ function safeInt(v, d = 0) {
 	const n = Number(v)
 	return Number.isFinite(n) ? n : d
 }
-/** ETL checksum includes braces and everything except the checksum char */
-function etlChecksumForPacket(packetWithoutChecksum) {
-	const sum = [...packetWithoutChecksum].reduce((a, c) => a + (c.charCodeAt(0) - 32), 0)
-	return String.fromCharCode((sum % 95) + 32)
+/**
+ * Check an alias before writing it to the matrix. Returns an error message or null.
+ * Frames are printable ASCII, braces delimit a frame and commas separate the T? dump.
+ */
+function aliasProblem(alias, maxLength) {
+	if (!alias) return 'alias is empty'
+	if (alias.length > maxLength) return `alias is longer than ${maxLength} characters`
+	if (alias.includes(',')) return 'commas are not allowed, they would break the alias dump'
+	if (/[{}]/.test(alias)) return 'braces are not allowed'
+	if (!/^[\x20-\x7e]+$/.test(alias)) return 'only printable ASCII characters are allowed'
+	return null
 }
-/** Build full packet and append checksum. CRLF gets added on send. */
-function pkt(body) {
-	const payload = `{${body}}`
-	const csum = etlChecksumForPacket(payload)
-	return payload + csum
+/** Parse "1:3, 2:4" (output:input, ">" also accepted) into [{ output, input }]. Throws on a bad entry. */
+function parseRoutePairs(text) {
+	const routes = []
+	for (const raw of String(text ?? '').split(/[,;\n]+/)) {
+		const item = raw.trim()
+		if (!item) continue
+		const m = item.match(/^(\d+)\s*[:>]\s*(\d+)$/)
+		if (!m) throw new Error(`Bad route "${item}", expected output:input`)
+		routes.push({ output: Number(m[1]), input: Number(m[2]) })
+	}
+	return routes
 }
-/** One shot TCP helper. Connect, send, collect briefly, close. */
-function tcpRequest({ host, port, message, inactivityMs = 200, overallTimeoutMs = 1500, logger = () => {} }) {
-	return new Promise((resolve, reject) => {
-		const client = new net.Socket()
-		let chunks = []
-		let gotAny = false
-		let inactivityTimer = null
-		const overallTimer = setTimeout(() => {
-			cleanup()
-			reject(new Error('TCP overall timeout'))
-		}, overallTimeoutMs)
-		function cleanup() {
-			try {
-				client.destroy()
-			} catch {}
-			if (inactivityTimer) clearTimeout(inactivityTimer)
-			clearTimeout(overallTimer)
-		}
-		function armInactivity() {
-			if (inactivityTimer) clearTimeout(inactivityTimer)
-			inactivityTimer = setTimeout(() => {
-				const data = Buffer.concat(chunks).toString('ascii')
-				cleanup()
-				resolve(data)
-			}, inactivityMs)
-		}
-		client.setNoDelay(true)
-		client.on('error', (err) => {
-			cleanup()
-			reject(err)
-		})
-		client.on('data', (buf) => {
-			chunks.push(buf)
-			gotAny = true
-			armInactivity()
-		})
-		client.on('close', () => {
-			if (gotAny) {
-				const data = Buffer.concat(chunks).toString('ascii')
-				cleanup()
-				resolve(data)
-			} else {
-				cleanup()
-				resolve('')
-			}
-		})
-		client.connect(port, host, () => {
-			logger(`TX: ${JSON.stringify(message)}`)
-			client.write(message, 'ascii')
-			armInactivity()
-		})
-	})
+/** Parse "5-8,1,2" into port numbers in the order given, "4-1" counts down. Throws on a bad item. */
+function parsePortSequence(text) {
+	const ports = []
+	for (const raw of String(text ?? '').split(/[,;\s]+/)) {
+		if (!raw) continue
+		const m = raw.match(/^(\d+)(?:-(\d+))?$/)
+		if (!m) throw new Error(`Bad item "${raw}", expected a number or a range like 1-8`)
+		const [a, b] = [Number(m[1]), Number(m[2] ?? m[1])]
+		if (Math.abs(b - a) > 999) throw new Error(`Range "${raw}" is too long`)
+		const step = b < a ? -1 : 1
+		for (let n = a; n !== b + step; n += step) ports.push(n)
+	}
+	return ports
+}
+/** Parse "1-8,12,15" into sorted unique port numbers. Throws on a bad item. */
+function parsePortList(text) {
+	return [...new Set(parsePortSequence(text))].sort((x, y) => x - y)
+}
+/** The reverse of parsePortList: [1, 2, 3, 5] becomes "1-3,5". */
+function formatPortList(ports) {
+	const parts = []
+	for (let i = 0; i < ports.length; i++) {
+		let j = i
+		while (j + 1 < ports.length && ports[j + 1] === ports[j] + 1) j++
+		parts.push(j > i ? `${ports[i]}-${ports[j]}` : String(ports[i]))
+		i = j
+	}
+	return parts.join(',')
+}
+/**
+ * Find the port whose alias is `name`. An exact match wins, with `ignoreCase`
+ * a case-insensitive one is tried next. Returns { port } or { error }.
+ */
+function findAlias(aliases, name, ignoreCase) {
+	const want = String(name ?? '').trim()
+	if (!want) return { error: 'name is empty' }
+	const hits = []
+	aliases.forEach((alias, idx) => alias.trim() === want && hits.push(idx + 1))
+	if (!hits.length && ignoreCase) {
+		aliases.forEach((alias, idx) => alias.trim().toLowerCase() === want.toLowerCase() && hits.push(idx + 1))
+	}
+	if (hits.length === 1) return { port: hits[0] }
+	if (!hits.length) return { error: `no port named "${want}"` }
+	return { error: `"${want}" is ambiguous, it matches ${hits.map(pad3).join(', ')}` }
+}
+/** Inner text of a `{...}<csum>` reply frame. The checksum may itself be a brace, so it is cut by position. */
+function frameInner(frame) {
+	if (frame.length < 3 || frame[0] !== '{' || frame[frame.length - 2] !== '}') return null
+	return frame.slice(1, -2)
+}
+// Reply classifiers, used to match a frame to the request that caused it
+function isFullStatusReply(frame) {
+	const inner = frameInner(frame)
+	return inner != null && inner.split(',')[0].includes('STATUS')
+}
+function isAliasReply(frame) {
+	const inner = frameInner(frame)
+	return inner != null && inner.split(',')[0].endsWith('T?')
+}
+function isQuickReply(frame) {
+	const inner = frameInner(frame)
+	return inner != null && inner[2] === 'Q' && !inner.includes(',')
+}
+/**
+ * Read a switch reply: 'ack' when it echoes the switch, 'nak' when the matrix
+ * refused it, 'none' when silent and 'unknown' for anything else.
+ */
+function switchReplyResult(reply, output, input) {
+	if (!reply) return 'none'
+	const inner = frameInner(reply)
+	if (inner == null) return 'unknown'
+	const cmd = inner.slice(2)
+	if (cmd === `s,${pad3(output)},${pad3(input)}`) return 'ack'
+	if (/NAK|ERR/i.test(cmd)) return 'nak'
+	return 'unknown'
+}
+/** Test a raw command result against a feedback's expected value. A bad regex never matches. */
+function rawResultMatches(value, mode, expected) {
+	if (mode === 'contains') return value.includes(expected)
+	if (mode === 'regex') {
+		try {
+			return new RegExp(expected).test(value)
+		} catch {
+			return false
+		}
+	}
+	return value === expected
+}
+function isCommandReply(frame) {
+	return frameInner(frame) != null && !isFullStatusReply(frame) && !isAliasReply(frame) && !isQuickReply(frame)
+}
+/** How late a scheduled change may still run, older ones are reported as missed. */
+const SCHEDULE_GRACE_MS = 60000
+/** How long a route held by the last-output check waits for its second press. */
+const USAGE_CONFIRM_MS = 5000
+/** Slot number option shared by the paged XY actions and feedbacks. */
+const SLOT_OPTION = { type: 'number', id: 'slot', label: 'Slot', default: 1, min: 1, max: 64 }
+/** Format dropdown shared by the snapshot actions. */
+const SNAPSHOT_FORMAT_OPTION = {
+	id: 'format',
+	type: 'dropdown',
+	label: 'Format',
+	choices: [
+		{ id: 'auto', label: 'From file extension' },
+		{ id: 'json', label: 'JSON' },
+		{ id: 'csv', label: 'CSV' },
+	],
+	default: 'auto',
 }
 
 // ---------- instance ----------
@@ -90,17 +173,90 @@ class EtlRfMatrixInstance extends InstanceBase {
 		this.outputsCount = 0
 		this.inputsCount = 0
 
+		// control path, 'primary' or 'backup'
+		this.activePath = 'primary'
+		this.failedPolls = 0
+		this.lastFailBackProbe = 0
+
 		// timers
-		this.aliasTimer = null
-		this.statusTimer = null
+		this.pollTimer = null
+		this.pollingActive = false
+		this.pollBusy = false
+		this.pollDelay = 0
+		this.lastFullStatus = 0
+		this.lastAliasPoll = 0
+		this.fullStatusDirty = true
+		this.aliasesDirty = true
+		this.lastFailMessage = null
+
+		// last value sent per variable, and the output each tracked feedback instance shows
+		this.publishedValues = new Map()
+		this.feedbackOutputs = new Map()
+
+		// persisted state
+		this.salvos = []
+		this.groups = [] // { name, kind: 'source' | 'destination', ports } with ports in member order
+		this.lockedOutputs = new Set() // output numbers that refuse routes
+		this.schedule = [] // scheduled route entries, see src/schedule.js
+		this.rawValues = new Map() // user named variable -> last raw command result
+
+		// scheduler
+		this.scheduleTimer = null
+		this.scheduleBusy = false
+		this.scheduleMissed = 0
+		this.scheduleLastMissed = ''
+
+		// route history, newest last: { time, output, from, to, origin }
+		this.routeHistory = []
+		this.redoStack = []
+
+		// alarm flags as last reported, '' until known
+		this.alarmFlags = { psu1: '', psu2: '', link: '', summary: '' }
+		this.alarmCount = 0
+		this.lastAlarmTime = ''
+
+		// paged XY, 1-based page numbers
+		this.destPage = 1
+		this.srcPage = 1
+		this.sourceFilter = '' // narrows the paged source list to matching aliases
+
+		// multi-select: destination presses mark a set, a source goes to all of them
+		this.multiSelect = false
+		this.multiOutputs = new Set()
 
-		this.updateStatus(InstanceStatus.Unknown)
+		// preview/take: route_to_selected only preselects, Take sends it
+		this.takeMode = !!config.takeMode
+		this.pendingTake = null
+
+		// rehearsal: switches go to rehearsalRoutes (output -> input) laid over liveSources
+		this.rehearsal = false
+		this.rehearsalRoutes = new Map()
+		this.liveSources = []
+		this.rehearsalHistory = null
+
+		// last-output check: the route waiting for its second press, { key, text }
+		this.usageConfirm = null
+		this.usageConfirmTimer = null
+
+		// route confirmation
+		this.pendingRoutes = new Set() // outputs with a switch in flight
+		this.failedOutputs = new Set()
+		this.routeFailures = 0
+		this.loadPersistedState(config)
+
+		// persistent session, all traffic goes through its queue
+		this.conn = null
+		this.checksumErrors = 0
+
+		this.updateStatus(InstanceStatus.Connecting)
+		this.initConnection()
 		this.rebuildVariableDefinitions()
 		this.initActions()
 		this.initFeedbacks()
 		this.buildAndSetPresets()
-		this.startAliasPolling()
-		this.startStatusPolling()
+		if (config.rehearsal) this.startRehearsal()
+		this.startPolling()
+		this.startScheduler()
 
 		// initial polls so UI can reflect reality on boot
 		try {
@@ -119,18 +275,34 @@ class EtlRfMatrixInstance extends InstanceBase {
 
 	// ---------- status helpers ----------
 	_markOk(msg = 'poll ok') {
-		this.updateStatus(InstanceStatus.Ok)
+		// polling is fine, but an active alarm keeps the connection in warning
+		const active = this.activeAlarms()
+		if (active.length) this.updateStatus(InstanceStatus.UnknownWarning, `Alarm: ${active.join(', ')}`)
+		else this.updateStatus(InstanceStatus.Ok)
+		this.lastFailMessage = null
 		this.log('debug', msg)
 	}
+	/** Returns null, the poll result for a reply that came back but could not be used. */
 	_markWarn(msg = 'no data or parse error') {
-		this.updateStatus(InstanceStatus.Unknown, msg)
+		this.updateStatus(InstanceStatus.UnknownWarning, msg)
 		this.log('debug', msg)
+		return null
 	}
+	/** Returns false, the poll result for no reply, or null when a damaged reply did arrive. */
 	_markFail(err) {
 		const m = err?.message || String(err) || 'poll failed'
+		const repeated = m === this.lastFailMessage
+		this.lastFailMessage = m
+		// a damaged reply means the link is up, it was already counted in onBadFrame
+		if (err instanceof FrameError) {
+			this.setVariableValues({ last_error: m })
+			return this._markWarn(m)
+		}
 		this.updateStatus(InstanceStatus.ConnectionFailure, m)
 		this.setVariableValues({ last_error: m })
-		this.log('error', m)
+		// log an outage once, not on every poll
+		this.log(repeated ? 'debug' : 'error', m)
+		return false
 	}
 
 	// ---------- configured size helpers ----------
@@ -156,12 +328,56 @@ class EtlRfMatrixInstance extends InstanceBase {
 			{ variableId: 'last_error', name: 'Last error message' },
 			{ variableId: 'last_alias_dump', name: 'Last alias raw dump' },
 			{ variableId: 'last_status_raw', name: 'Last full status raw' },
+			{ variableId: 'checksum_errors', name: 'Reply checksum failures' },
 			{ variableId: 'psu1_ok', name: 'PSU1 OK (O/F)' },
 			{ variableId: 'psu2_ok', name: 'PSU2 OK (O/F)' },
 			{ variableId: 'link_ok', name: 'Interlink OK (O/F)' },
 			{ variableId: 'summary_alarm_ok', name: 'Summary alarm OK (O/F)' },
+			{ variableId: 'route_failures', name: 'Routes the matrix did not take' },
+			{ variableId: 'take_mode', name: 'Preview/take mode on (true/false)' },
+			{ variableId: 'pending_source', name: 'Preselected source awaiting take' },
+			{ variableId: 'pending_source_name', name: 'Preselected source name' },
+			{ variableId: 'pending_destination', name: 'Destination of the preselected route' },
+			{ variableId: 'pending_destination_name', name: 'Destination name of the preselected route' },
+			{ variableId: 'alarms_active', name: 'Number of active alarms' },
+			{ variableId: 'alarm_count', name: 'Alarms raised since connection start' },
+			{ variableId: 'alarm_last_time', name: 'Last alarm time' },
 			{ variableId: 'selected_output', name: 'Selected destination number' },
 			{ variableId: 'selected_output_name', name: 'Selected destination name' },
+			{ variableId: 'source_filter', name: 'Source filter text' },
+			{ variableId: 'source_filter_count', name: 'Sources matching the filter' },
+			{ variableId: 'multi_select', name: 'Multi-select destinations mode on (true/false)' },
+			{ variableId: 'multi_outputs', name: 'Marked destinations in multi-select mode' },
+			{ variableId: 'multi_count', name: 'Number of marked destinations' },
+			{ variableId: 'rehearsal_active', name: 'Rehearsal mode on (true/false)' },
+			{ variableId: 'rehearsal_diff_count', name: 'Rehearsed routes that differ from the live matrix' },
+			{ variableId: 'rehearsal_diff', name: 'Rehearsed routes that differ, as output: live>rehearsed' },
+			{ variableId: 'usage_confirm', name: 'Route waiting for a second press (last output of an input)' },
+			{ variableId: 'salvo_count', name: 'Number of stored salvos' },
+			{ variableId: 'salvo_names', name: 'Stored salvo names (comma separated)' },
+			{ variableId: 'source_groups', name: 'Source group names (comma separated)' },
+			{ variableId: 'destination_groups', name: 'Destination group names (comma separated)' },
+			{ variableId: 'salvo_last_fired', name: 'Last fired salvo' },
+			{ variableId: 'active_path', name: 'Control path in use (primary/backup)' },
+			{ variableId: 'active_host', name: 'Host and port of the control path in use' },
+			{ variableId: 'schedule_count', name: 'Scheduled route entries' },
+			{ variableId: 'schedule_list', name: 'Scheduled route entries (summary)' },
+			{ variableId: 'schedule_next', name: 'Next scheduled route change' },
+			{ variableId: 'schedule_next_time', name: 'Time of the next scheduled route change' },
+			{ variableId: 'schedule_countdown', name: 'Countdown to the next scheduled route change (H:MM:SS)' },
+			{ variableId: 'schedule_missed_count', name: 'Scheduled changes missed while offline' },
+			{ variableId: 'schedule_last_missed', name: 'Last missed scheduled change' },
+			{ variableId: 'snapshot_last_file', name: 'Last exported or imported snapshot file' },
+			{ variableId: 'snapshot_diff_count', name: 'Routes the last imported snapshot differs in' },
+			{ variableId: 'snapshot_diff', name: 'Differences of the last imported snapshot (output: live>file)' },
+			{ variableId: 'history_count', name: 'Route history entries' },
+			{ variableId: 'redo_count', name: 'Route changes available to redo' },
+			{ variableId: 'last_change_time', name: 'Last route change time' },
+			{ variableId: 'last_change_output', name: 'Last route change output' },
+			{ variableId: 'last_change_from', name: 'Last route change previous input' },
+			{ variableId: 'last_change_to', name: 'Last route change new input' },
+			{ variableId: 'last_change_origin', name: 'Last route change origin (local/remote)' },
+			{ variableId: 'last_change_text', name: 'Last route change summary' },
 		]
 
 		const outs = this.effectiveOutputs()
@@ -170,12 +386,41 @@ class EtlRfMatrixInstance extends InstanceBase {
 		for (let o = 1; o <= outs; o++) {
 			defs.push({ variableId: `output_${pad3(o)}_name`, name: `Output ${pad3(o)} name` })
 			defs.push({ variableId: `out_${pad3(o)}_src`, name: `Output ${pad3(o)} source (input number)` })
+			defs.push({ variableId: `out_${pad3(o)}_src_name`, name: `Output ${pad3(o)} source name (input alias)` })
+			defs.push({ variableId: `out_${pad3(o)}_locked`, name: `Output ${pad3(o)} locked (true/false)` })
+			defs.push({
+				variableId: `out_${pad3(o)}_disconnected`,
+				name: `Output ${pad3(o)} disconnected or parked (true/false)`,
+			})
 		}
 		for (let i = 1; i <= ins; i++) {
 			defs.push({ variableId: `input_${pad3(i)}_name`, name: `Input ${pad3(i)} name` })
+			defs.push({ variableId: `in_${pad3(i)}_usage_count`, name: `Input ${pad3(i)} number of outputs fed` })
+			defs.push({ variableId: `in_${pad3(i)}_usage_outputs`, name: `Input ${pad3(i)} outputs fed (numbers)` })
+			defs.push({ variableId: `in_${pad3(i)}_usage_names`, name: `Input ${pad3(i)} outputs fed (aliases)` })
+		}
+		for (const [kind, label] of [
+			['dest', 'destination'],
+			['src', 'source'],
+		]) {
+			defs.push({ variableId: `${kind}_page`, name: `Paged XY ${label} page` })
+			defs.push({ variableId: `${kind}_pages`, name: `Paged XY ${label} page count` })
+			defs.push({ variableId: `${kind}_page_offset`, name: `Paged XY ${label} page offset` })
+			for (let slot = 1; slot <= this.pageSize(); slot++) {
+				const id = `${kind}_slot_${String(slot).padStart(2, '0')}`
+				defs.push({ variableId: id, name: `Paged XY ${label} slot ${slot} port` })
+				defs.push({ variableId: `${id}_name`, name: `Paged XY ${label} slot ${slot} name` })
+			}
+		}
+		// raw command results may not shadow a module variable
+		this.builtinVariableIds = new Set(defs.map((d) => d.variableId))
+		for (const name of this.rawValues.keys()) {
+			if (!this.builtinVariableIds.has(name)) defs.push({ variableId: name, name: `Raw command result (${name})` })
 		}
 
 		this.setVariableDefinitions(defs)
+		// new definitions start blank, publish everything again
+		this.publishedValues.clear()
 
 		// Prefill placeholders so preset texts never appear blank when offline
 		const vals = {}
@@ -183,14 +428,31 @@ class EtlRfMatrixInstance extends InstanceBase {
 		// Outputs
 		for (let o = 1; o <= outs; o++) {
 			vals[`output_${pad3(o)}_name`] = this.outputAliases[o - 1] || `O${pad3(o)}`
-			// Keep src empty until we know it from status
-			vals[`out_${pad3(o)}_src`] = this.currentSources[o - 1] != null ? String(this.currentSources[o - 1]) : ''
+			Object.assign(vals, this.outputSourceValues(o))
+			vals[`out_${pad3(o)}_locked`] = this.lockedOutputs.has(o) ? 'true' : 'false'
 		}
 
 		// Inputs
 		for (let i = 1; i <= ins; i++) {
 			vals[`input_${pad3(i)}_name`] = this.inputAliases[i - 1] || `I${pad3(i)}`
 		}
+		Object.assign(vals, this.usageVariableValues())
+		vals['usage_confirm'] = this.usageConfirm?.text ?? ''
+
+		vals['checksum_errors'] = String(this.checksumErrors)
+		Object.assign(vals, this.salvoVariableValues())
+		Object.assign(vals, this.groupVariableValues())
+		Object.assign(vals, this.historyVariableValues())
+		Object.assign(vals, this.alarmVariableValues())
+		Object.assign(vals, this.takeVariableValues())
+		Object.assign(vals, this.rehearsalVariableValues())
+		Object.assign(vals, this.scheduleVariableValues())
+		Object.assign(vals, this.pathVariableValues())
+		Object.assign(vals, this.multiVariableValues())
+		Object.assign(vals, this.pageVariableValues())
+		Object.assign(vals, this.filterVariableValues())
+		vals['route_failures'] = String(this.routeFailures)
+		for (const [name, value] of this.rawValues) if (!this.builtinVariableIds.has(name)) vals[name] = value
 
 		// Selected output friendly name
 		if (this.selectedOutput) {
@@ -203,6 +465,28 @@ class EtlRfMatrixInstance extends InstanceBase {
 		this.setVariableValues(vals)
 	}
 
+	/** Display name of an input, '' while unknown. The off crosspoint and the park input read OFF and PARK. */
+	sourceName(input) {
+		if (input === 0) return 'OFF'
+		if (!(input > 0)) return ''
+		if (input === this.parkInput() && input > 0) return 'PARK'
+		return this.inputAliases[input - 1] || `I${pad3(input)}`
+	}
+	/** Source variables of one output, src stays empty until a status poll told us. */
+	outputSourceValues(o) {
+		const src = this.currentSources[o - 1]
+		return {
+			[`out_${pad3(o)}_src`]: src != null ? String(src) : '',
+			[`out_${pad3(o)}_src_name`]: this.sourceName(src),
+			[`out_${pad3(o)}_disconnected`]: this.isDisconnected(o) ? 'true' : 'false',
+		}
+	}
+	/** Resolve a feedback option that may hold variables to a number. */
+	async feedbackNumber(value, context) {
+		const parse = context?.parseVariablesInString ?? ((t) => this.parseVariablesInString(t))
+		return Number(String(await parse(String(value ?? ''))).trim())
+	}
+
 	// ---------- dropdown choices ----------
 	getInputChoices() {
 		if (this.inputAliases?.length) {
@@ -241,6 +525,18 @@ class EtlRfMatrixInstance extends InstanceBase {
 		}
 		return items
 	}
+	getSalvoChoices() {
+		return this.salvos.map((s) => ({ id: s.name, label: `${s.name} (${s.routes.length} routes)` }))
+	}
+	/** Stored groups of one kind, or of both kinds when `kind` is omitted. */
+	getGroupChoices(kind) {
+		return this.groups
+			.filter((g) => !kind || g.kind === kind)
+			.map((g) => ({ id: g.name, label: `${g.name} (${g.ports.map(pad3).join(' ')})` }))
+	}
+	getScheduleChoices() {
+		return this.schedule.map((e) => ({ id: String(e.id), label: describeEntry(e) }))
+	}
 	getOddOutputChoices() {
 		const max = this.outputAliases?.length || this.effectiveOutputs()
 		const items = []
@@ -262,16 +558,10 @@ class EtlRfMatrixInstance extends InstanceBase {
 				callback: async () => {
 					try {
 						const body = `${this.dstAddr()}${this.srcAddr()}?`
-						const msg = pkt(body) + '\r\n'
-						const reply = await tcpRequest({
-							host: this.host(),
-							port: this.port(),
-							message: msg,
-							logger: (s) => this.log('debug', s),
-						})
+						const reply = await this.request(body, { match: isFullStatusReply })
 						this.log('debug', `RX: ${reply}`)
 						this.setVariableValues({ last_reply: reply || '(no data)', last_error: '' })
-						this.updateStatus(InstanceStatus.Ok)
+						this._markOk('Test connect ok')
 					} catch (e) {
 						this.updateStatus(InstanceStatus.ConnectionFailure, e?.message || 'connect failed')
 						this.setVariableValues({ last_error: e?.message || String(e) })
@@ -320,16 +610,10 @@ class EtlRfMatrixInstance extends InstanceBase {
 				callback: async ({ options }) => {
 					const iNum = Number((await this.parseVariablesInString(String(options.input ?? ''))).trim())
 					const oNum = Number((await this.parseVariablesInString(String(options.output ?? ''))).trim())
-					const maxIn = this.inputAliases?.length || this.effectiveInputs()
-					const maxOut = this.outputAliases?.length || this.effectiveOutputs()
-					if (!Number.isFinite(iNum) || iNum < 1 || iNum > Math.max(999, maxIn))
-						return this.log('error', `Input must be 1..${maxIn}`)
-					if (!Number.isFinite(oNum) || oNum < 1 || oNum > Math.max(999, maxOut))
-						return this.log('error', `Output must be 1..${maxOut}`)
-					const body = `${this.dstAddr()}${this.srcAddr()}s,${pad3(oNum)},${pad3(iNum)}`
-					await this.sendBody(body)
-					// Recheck feedbacks after routing
-					this.checkFeedbacks('srcMatchesSelected', 'pairMatchesSelected')
+					const problem = this.routeProblem(oNum, iNum)
+					if (problem) return this.log('error', problem)
+					if (!this.routesAllowed([{ output: oNum, input: iNum }], 'Route')) return
+					await this.sendRoute(oNum, iNum)
 				},
 			},
 
@@ -357,24 +641,263 @@ class EtlRfMatrixInstance extends InstanceBase {
 				callback: async ({ options }) => {
 					const i1 = Number((await this.parseVariablesInString(String(options.input_odd ?? ''))).trim())
 					const o1 = Number((await this.parseVariablesInString(String(options.output_odd ?? ''))).trim())
-					const maxIn = this.inputAliases?.length || this.effectiveInputs()
-					const maxOut = this.outputAliases?.length || this.effectiveOutputs()
-					if (!Number.isFinite(i1) || i1 < 1 || i1 > maxIn || i1 % 2 === 0)
-						return this.log('error', `Input must be odd 1..${maxIn}`)
-					if (!Number.isFinite(o1) || o1 < 1 || o1 > maxOut || o1 % 2 === 0)
-						return this.log('error', `Output must be odd 1..${maxOut}`)
-					if (i1 + 1 > maxIn) return this.log('error', `Input pair overflows. Need ${i1 + 1}`)
-					if (o1 + 1 > maxOut) return this.log('error', `Output pair overflows. Need ${o1 + 1}`)
-					const DA = this.dstAddr(),
-						SA = this.srcAddr()
-					await this.sendBody(`${DA}${SA}s,${pad3(o1)},${pad3(i1)}`)
-					await this.sendBody(`${DA}${SA}s,${pad3(o1 + 1)},${pad3(i1 + 1)}`)
-					this.checkFeedbacks('srcMatchesSelected', 'pairMatchesSelected')
+					const problem = this.pairProblem(o1, i1)
+					if (problem) return this.log('error', problem)
+					const routes = [
+						{ output: o1, input: i1 },
+						{ output: o1 + 1, input: i1 + 1 },
+					]
+					if (!this.routesAllowed(routes, 'Route pair')) return
+					await this.sendRoute(o1, i1)
+					await this.sendRoute(o1 + 1, i1 + 1)
 				},
 			},
 
 			// XY workflow helpers
 			// Select Destination
+			route_multi: {
+				name: 'Route input to many outputs',
+				options: [
+					{
+						id: 'input',
+						type: 'dropdown',
+						label: 'Input',
+						choices: this.getInputChoices(),
+						allowCustom: true,
+						default: '1',
+					},
+					{
+						id: 'outputs',
+						type: 'textinput',
+						label: 'Outputs (e.g. 1-8,12,15)',
+						default: '1-4',
+						useVariables: true,
+					},
+				],
+				callback: async ({ options }) => {
+					const input = Number((await this.parseVariablesInString(String(options.input ?? ''))).trim())
+					const text = await this.parseVariablesInString(String(options.outputs ?? ''))
+					let outputs
+					try {
+						outputs = parsePortList(text)
+					} catch (e) {
+						return this.log('error', `Route multi: ${e.message}`)
+					}
+					await this.routeMulti(input, outputs, 'Route multi')
+				},
+			},
+
+			// Route by alias
+			route_by_name: {
+				name: 'Route input to output by alias name',
+				options: [
+					{ id: 'input', type: 'textinput', label: 'Input alias', default: '', useVariables: true },
+					{ id: 'output', type: 'textinput', label: 'Output alias', default: '', useVariables: true },
+					{
+						id: 'match',
+						type: 'dropdown',
+						label: 'Match',
+						choices: [
+							{ id: 'exact', label: 'Exact' },
+							{ id: 'nocase', label: 'Ignore case' },
+						],
+						default: 'nocase',
+					},
+				],
+				callback: async ({ options }) => {
+					const ignoreCase = options.match !== 'exact'
+					const inName = await this.parseVariablesInString(String(options.input ?? ''))
+					const outName = await this.parseVariablesInString(String(options.output ?? ''))
+					const i = this.portByName('input', inName, ignoreCase, 'Route by name')
+					const o = this.portByName('output', outName, ignoreCase, 'Route by name')
+					if (!i || !o) return
+					if (!this.routesAllowed([{ output: o, input: i }], 'Route by name')) return
+					await this.sendRoute(o, i)
+				},
+			},
+
+			route_name_to_selected: {
+				name: 'Route input by alias name to selected destination',
+				options: [
+					{ id: 'input', type: 'textinput', label: 'Input alias', default: '', useVariables: true },
+					{
+						id: 'match',
+						type: 'dropdown',
+						label: 'Match',
+						choices: [
+							{ id: 'exact', label: 'Exact' },
+							{ id: 'nocase', label: 'Ignore case' },
+						],
+						default: 'nocase',
+					},
+				],
+				callback: async ({ options }) => {
+					const name = await this.parseVariablesInString(String(options.input ?? ''))
+					const i = this.portByName('input', name, options.match !== 'exact', 'Route by name')
+					if (i) await this.routeToSelected(i)
+				},
+			},
+
+			source_filter: {
+				name: 'Filter sources by alias text',
+				options: [
+					{
+						id: 'mode',
+						type: 'dropdown',
+						label: 'Mode',
+						choices: [
+							{ id: 'set', label: 'Set filter text' },
+							{ id: 'append', label: 'Append text (type to filter)' },
+							{ id: 'backspace', label: 'Remove last character' },
+							{ id: 'clear', label: 'Clear filter' },
+						],
+						default: 'append',
+					},
+					{
+						id: 'text',
+						type: 'textinput',
+						label: 'Text',
+						default: '',
+						useVariables: true,
+						isVisible: (options) => options.mode === 'set' || options.mode === 'append',
+					},
+				],
+				callback: async ({ options }) => {
+					const text = await this.parseVariablesInString(String(options.text ?? ''))
+					if (options.mode === 'set') this.setSourceFilter(text.trim())
+					else if (options.mode === 'append') this.setSourceFilter(this.sourceFilter + text)
+					else if (options.mode === 'backspace') this.setSourceFilter(this.sourceFilter.slice(0, -1))
+					else this.setSourceFilter('')
+				},
+			},
+
+			// Paged XY
+			xy_page: {
+				name: 'Paged XY: Change page',
+				options: [
+					{
+						id: 'kind',
+						type: 'dropdown',
+						label: 'Pages',
+						choices: [
+							{ id: 'dest', label: 'Destinations' },
+							{ id: 'src', label: 'Sources' },
+						],
+						default: 'dest',
+					},
+					{
+						id: 'step',
+						type: 'dropdown',
+						label: 'Step',
+						choices: [
+							{ id: 'next', label: 'Next page' },
+							{ id: 'previous', label: 'Previous page' },
+							{ id: 'first', label: 'First page' },
+						],
+						default: 'next',
+					},
+				],
+				callback: async ({ options }) => {
+					const kind = options.kind === 'src' ? 'src' : 'dest'
+					const page = kind === 'dest' ? this.destPage : this.srcPage
+					if (options.step === 'first') this.setPage(kind, 1)
+					else this.setPage(kind, options.step === 'previous' ? page - 1 : page + 1)
+				},
+			},
+
+			select_destination_slot: {
+				name: 'Paged XY: Select destination slot',
+				options: [SLOT_OPTION],
+				callback: async ({ options }) => {
+					const o = this.slotPort('dest', options.slot)
+					// an empty slot on the last page does nothing
+					if (o) this.selectDestination(o)
+				},
+			},
+
+			route_slot_to_selected: {
+				name: 'Paged XY: Route source slot to selected destination',
+				options: [SLOT_OPTION],
+				callback: async ({ options }) => {
+					const i = this.slotPort('src', options.slot)
+					if (i) await this.routeToSelected(i)
+				},
+			},
+
+			// Disconnect / park
+			disconnect_output: {
+				name: 'Disconnect output (off crosspoint or park input)',
+				options: [
+					{
+						id: 'output',
+						type: 'dropdown',
+						label: 'Output',
+						choices: this.getOutputChoices(),
+						allowCustom: true,
+						default: '1',
+					},
+				],
+				callback: async ({ options }) => {
+					const o = Number((await this.parseVariablesInString(String(options.output ?? ''))).trim())
+					const problem = this.disconnectProblem(o)
+					if (problem) return this.log('error', problem)
+					if (!this.routesAllowed([{ output: o, input: this.parkInput() }], 'Disconnect')) return
+					await this.disconnectOutputs([o], 'Disconnect')
+				},
+			},
+
+			disconnect_selected: {
+				name: 'Disconnect Selected Destination (park)',
+				options: [],
+				callback: async () => {
+					await this.routeToSelected(this.parkInput())
+				},
+			},
+
+			disconnect_input: {
+				name: 'Disconnect all outputs fed by an input',
+				options: [
+					{
+						id: 'input',
+						type: 'dropdown',
+						label: 'Input',
+						choices: this.getInputChoices(),
+						allowCustom: true,
+						default: '1',
+					},
+				],
+				callback: async ({ options }) => {
+					const i = Number((await this.parseVariablesInString(String(options.input ?? ''))).trim())
+					const size = this.detectedSize()
+					if (!Number.isInteger(i) || i < 1 || i > size.inputs)
+						return this.log('error', `Input must be 1..${size.inputs}`)
+					const outputs = []
+					this.currentSources.forEach((src, idx) => src === i && outputs.push(idx + 1))
+					await this.disconnectOutputs(outputs, `Disconnect input ${pad3(i)}`)
+				},
+			},
+
+			set_multi_select: {
+				name: 'Set Multi-select Destinations Mode',
+				options: [
+					{
+						id: 'mode',
+						type: 'dropdown',
+						label: 'Mode',
+						choices: [
+							{ id: 'on', label: 'On' },
+							{ id: 'off', label: 'Off' },
+							{ id: 'toggle', label: 'Toggle' },
+						],
+						default: 'toggle',
+					},
+				],
+				callback: async ({ options }) => {
+					const on = options.mode === 'toggle' ? !this.multiSelect : options.mode === 'on'
+					this.setMultiSelect(on)
+				},
+			},
+
 			select_destination: {
 				name: 'Select Destination',
 				options: [
@@ -389,14 +912,7 @@ class EtlRfMatrixInstance extends InstanceBase {
 				],
 				callback: async ({ options }) => {
 					const outs = this.effectiveOutputs()
-					const o = Math.max(1, Math.min(outs, Number(options.output || 1)))
-					this.selectedOutput = o
-					this.setVariableValues({
-						selected_output: String(o),
-						selected_output_name: this.outputAliases[o - 1] || `Out ${pad3(o)}`,
-					})
-					// Force all feedbacks to re-evaluate on the panel
-					this.checkFeedbacks()
+					this.selectDestination(Math.max(1, Math.min(outs, Number(options.output || 1))))
 				},
 			},
 
@@ -406,8 +922,10 @@ class EtlRfMatrixInstance extends InstanceBase {
 				options: [],
 				callback: async () => {
 					this.selectedOutput = null
-					this.setVariableValues({ selected_output: '', selected_output_name: '' })
-					this.checkFeedbacks()
+					this.multiOutputs.clear()
+					this.setPendingTake(null)
+					this.setVariableValues({ selected_output: '', selected_output_name: '', ...this.multiVariableValues() })
+					this.checkSelectionFeedbacks()
 				},
 			},
 
@@ -425,13 +943,7 @@ class EtlRfMatrixInstance extends InstanceBase {
 					},
 				],
 				callback: async ({ options }) => {
-					const i = Number(options.input || 1)
-					if (!this.selectedOutput) return this.log('error', 'Select a destination first')
-					const maxIn = this.inputAliases?.length || this.effectiveInputs()
-					if (i < 1 || i > Math.max(999, maxIn)) return this.log('error', `Input must be 1..${maxIn}`)
-					const body = `${this.dstAddr()}${this.srcAddr()}s,${pad3(this.selectedOutput)},${pad3(i)}`
-					await this.sendBody(body)
-					this.checkFeedbacks()
+					await this.routeToSelected(Number(options.input || 1))
 				},
 			},
 
@@ -457,74 +969,2039 @@ class EtlRfMatrixInstance extends InstanceBase {
 					if (i1 < 1 || i1 % 2 === 0 || i1 + 1 > maxIn) return this.log('error', 'Input must be odd and in range')
 					if (o1 % 2 === 0 || o1 + 1 > maxOut)
 						return this.log('error', 'Selected destination must be odd and o+1 must exist')
-					const DA = this.dstAddr(),
-						SA = this.srcAddr()
-					await this.sendBody(`${DA}${SA}s,${pad3(o1)},${pad3(i1)}`)
-					await this.sendBody(`${DA}${SA}s,${pad3(o1 + 1)},${pad3(i1 + 1)}`)
-					this.checkFeedbacks()
+					if (!this.routeAllowed([o1, o1 + 1], 'Route pair to selected')) return
+					if (this.takeMode) return this.setPendingTake({ output: o1, input: i1, pair: true })
+					const routes = [
+						{ output: o1, input: i1 },
+						{ output: o1 + 1, input: i1 + 1 },
+					]
+					if (!this.lastUsageConfirmed(routes, 'Route pair to selected')) return
+					await this.sendRoute(o1, i1)
+					await this.sendRoute(o1 + 1, i1 + 1)
 				},
 			},
-		})
-	}
 
-	// ---------- feedbacks ----------
-	initFeedbacks() {
-		this.setFeedbackDefinitions({
-			// Yellow background when destination button matches selected
-			destSelected: {
-				name: 'Destination is selected',
-				type: 'boolean',
-				options: [{ type: 'number', id: 'output', label: 'Output', default: 1, min: 1, max: 999 }],
-				defaultStyle: { bgcolor: 0xffff00, color: 0x000000 },
-				callback: (fb) => {
-					const out = safeInt(fb.options.output, 0)
-					return this.selectedOutput === out
+			// Groups, member k of the source group goes to member k of the destination group
+			group_store: {
+				name: 'Group: Store',
+				options: [
+					{
+						id: 'kind',
+						type: 'dropdown',
+						label: 'Kind',
+						choices: [
+							{ id: 'source', label: 'Source group (inputs)' },
+							{ id: 'destination', label: 'Destination group (outputs)' },
+						],
+						default: 'source',
+					},
+					{ id: 'name', type: 'textinput', label: 'Group name', default: 'Group 1', useVariables: true },
+					{
+						id: 'ports',
+						type: 'textinput',
+						label: 'Ports in member order (e.g. 5-8 or 3,1)',
+						default: '1-4',
+						useVariables: true,
+					},
+					{
+						type: 'number',
+						id: 'size',
+						label: 'Group size (0 for one group of all ports)',
+						default: 0,
+						min: 0,
+						max: 64,
+					},
+				],
+				callback: async ({ options }) => {
+					const name = (await this.parseVariablesInString(String(options.name ?? ''))).trim()
+					const text = await this.parseVariablesInString(String(options.ports ?? ''))
+					let ports
+					try {
+						ports = parsePortSequence(text)
+					} catch (e) {
+						return this.log('error', `Group "${name}": ${e.message}`)
+					}
+					this.storeGroups(
+						options.kind === 'destination' ? 'destination' : 'source',
+						name,
+						ports,
+						safeInt(options.size),
+					)
 				},
 			},
 
-			// Green when routed to selected destination
-			srcMatchesSelected: {
-				name: 'Source is routed to selected destination',
-				type: 'boolean',
-				options: [{ type: 'number', id: 'input', label: 'Input', default: 1, min: 1, max: 999 }],
-				defaultStyle: { bgcolor: 0x00ff00, color: 0x000000 },
-				callback: (fb) => {
-					const i = Number(fb.options.input ?? -1)
-					const o = this.selectedOutput
-					if (!o) return false
-					const cur = Number(this.currentSources[o - 1] ?? -2)
-					return cur === i
+			group_delete: {
+				name: 'Group: Delete',
+				options: [
+					{
+						id: 'kind',
+						type: 'dropdown',
+						label: 'Kind',
+						choices: [
+							{ id: 'source', label: 'Source group' },
+							{ id: 'destination', label: 'Destination group' },
+						],
+						default: 'source',
+					},
+					{
+						id: 'name',
+						type: 'dropdown',
+						label: 'Group',
+						choices: this.getGroupChoices(),
+						allowCustom: true,
+						default: this.groups[0]?.name ?? '',
+					},
+				],
+				callback: async ({ options }) => {
+					const name = (await this.parseVariablesInString(String(options.name ?? ''))).trim()
+					const before = this.groups.length
+					this.groups = this.groups.filter((g) => !(g.kind === options.kind && g.name === name))
+					if (this.groups.length === before) return this.log('error', `${options.kind} group "${name}" not found`)
+					this.log('info', `Group "${name}" deleted`)
+					this.groupsChanged()
 				},
 			},
 
-			// Green when both members match for the selected odd destination pair
-			pairMatchesSelected: {
-				name: 'Paired inputs match selected odd destination pair',
-				type: 'boolean',
-				options: [{ type: 'number', id: 'input_odd', label: 'Odd input', default: 1, min: 1, max: 999 }],
-				defaultStyle: { bgcolor: 0x00ff00, color: 0x000000 },
-				callback: (fb) => {
-					const i1 = Number(fb.options.input_odd ?? 0)
-					const o1 = this.selectedOutput
-					if (!o1 || i1 % 2 === 0 || o1 % 2 === 0) return false
-					const i2 = i1 + 1
-					const o2 = o1 + 1
-					const cur1 = Number(this.currentSources[o1 - 1] ?? -99)
-					const cur2 = Number(this.currentSources[o2 - 1] ?? -98)
-					return cur1 === i1 && cur2 === i2
+			route_group: {
+				name: 'Route source group to destination group',
+				options: [
+					{
+						id: 'source',
+						type: 'dropdown',
+						label: 'Source group',
+						choices: this.getGroupChoices('source'),
+						allowCustom: true,
+						default: this.getGroupChoices('source')[0]?.id ?? '',
+					},
+					{
+						id: 'destination',
+						type: 'dropdown',
+						label: 'Destination group',
+						choices: this.getGroupChoices('destination'),
+						allowCustom: true,
+						default: this.getGroupChoices('destination')[0]?.id ?? '',
+					},
+				],
+				callback: async ({ options }) => {
+					const src = (await this.parseVariablesInString(String(options.source ?? ''))).trim()
+					const dst = (await this.parseVariablesInString(String(options.destination ?? ''))).trim()
+					if (!dst) return this.log('error', 'Route group: destination group is empty')
+					await this.routeGroup(src, dst, 'Route group')
 				},
 			},
-		})
-	}
 
-	// ---------- presets ----------
-	buildAndSetPresets() {
-		const presets = []
-		const outs = this.effectiveOutputs()
-		const ins = this.effectiveInputs()
+			route_group_to_selected: {
+				name: 'Route source group to selected destination',
+				options: [
+					{
+						id: 'source',
+						type: 'dropdown',
+						label: 'Source group',
+						choices: this.getGroupChoices('source'),
+						allowCustom: true,
+						default: this.getGroupChoices('source')[0]?.id ?? '',
+					},
+				],
+				callback: async ({ options }) => {
+					const src = (await this.parseVariablesInString(String(options.source ?? ''))).trim()
+					await this.routeGroup(src, '', 'Route group to selected')
+				},
+			},
 
-		// Use this instance's label so Companion variable tokens resolve
-		const inst = this.label || this.instanceLabel || 'etl-matrix'
+			// Preview / take
+			take: {
+				name: 'Take (send the preselected route)',
+				options: [],
+				callback: async () => {
+					await this.executeTake()
+				},
+			},
+
+			cancel: {
+				name: 'Cancel Preselect',
+				options: [],
+				callback: async () => {
+					this.setPendingTake(null)
+				},
+			},
+
+			set_take_mode: {
+				name: 'Set Preview/Take Mode',
+				options: [
+					{
+						id: 'mode',
+						type: 'dropdown',
+						label: 'Mode',
+						choices: [
+							{ id: 'on', label: 'On' },
+							{ id: 'off', label: 'Off' },
+							{ id: 'toggle', label: 'Toggle' },
+						],
+						default: 'toggle',
+					},
+				],
+				callback: async ({ options }) => {
+					const on = options.mode === 'toggle' ? !this.takeMode : options.mode === 'on'
+					this.setTakeMode(on)
+				},
+			},
+
+			set_rehearsal: {
+				name: 'Rehearsal mode: Start / Leave and apply / Leave and discard',
+				options: [
+					{
+						id: 'mode',
+						type: 'dropdown',
+						label: 'Mode',
+						choices: [
+							{ id: 'on', label: 'Start rehearsal' },
+							{ id: 'apply', label: 'Leave and apply the rehearsed routes' },
+							{ id: 'discard', label: 'Leave and discard the rehearsed routes' },
+						],
+						default: 'on',
+					},
+				],
+				callback: async ({ options }) => {
+					if (options.mode === 'on') return this.startRehearsal()
+					await this.endRehearsal(options.mode === 'apply')
+				},
+			},
+
+			// Alias write
+			set_input_alias: {
+				name: 'Set Input Alias on Matrix',
+				options: [
+					{
+						id: 'input',
+						type: 'dropdown',
+						label: 'Input',
+						choices: this.getInputChoices(),
+						allowCustom: true,
+						default: '1',
+					},
+					{ id: 'alias', type: 'textinput', label: 'New alias', default: '', useVariables: true },
+				],
+				callback: async ({ options }) => {
+					const n = Number((await this.parseVariablesInString(String(options.input ?? ''))).trim())
+					const alias = (await this.parseVariablesInString(String(options.alias ?? ''))).trim()
+					await this.writeAlias('input', n, alias)
+				},
+			},
+
+			set_output_alias: {
+				name: 'Set Output Alias on Matrix',
+				options: [
+					{
+						id: 'output',
+						type: 'dropdown',
+						label: 'Output',
+						choices: this.getOutputChoices(),
+						allowCustom: true,
+						default: '1',
+					},
+					{ id: 'alias', type: 'textinput', label: 'New alias', default: '', useVariables: true },
+				],
+				callback: async ({ options }) => {
+					const n = Number((await this.parseVariablesInString(String(options.output ?? ''))).trim())
+					const alias = (await this.parseVariablesInString(String(options.alias ?? ''))).trim()
+					await this.writeAlias('output', n, alias)
+				},
+			},
+
+			// Route history
+			undo_last_route: {
+				name: 'Undo Last Route Change',
+				options: [],
+				callback: async () => {
+					const entry = this.routeHistory[this.routeHistory.length - 1]
+					if (!entry) return this.log('error', 'Nothing to undo')
+					await this.undoEntry(entry)
+				},
+			},
+
+			redo_route: {
+				name: 'Redo Route Change',
+				options: [],
+				callback: async () => {
+					const entry = this.redoStack[this.redoStack.length - 1]
+					if (!entry) return this.log('error', 'Nothing to redo')
+					if (!this.routeAllowed([entry.output], 'Redo')) return
+					if (!(await this.sendRoute(entry.output, entry.to, { record: false }))) return
+					this.redoStack.pop()
+					this.routeHistory.push(entry)
+					this.historyChanged()
+				},
+			},
+
+			undo_selected: {
+				name: 'Undo Last Change on Selected Destination',
+				options: [],
+				callback: async () => {
+					const o = this.selectedOutput
+					if (!o) return this.log('error', 'Select a destination first')
+					const entry = this.routeHistory.findLast((e) => e.output === o)
+					if (!entry) return this.log('error', `No route history for output ${pad3(o)}`)
+					await this.undoEntry(entry)
+				},
+			},
+
+			// Route protection
+			lock_output: {
+				name: 'Lock Destination (refuse routes)',
+				options: [
+					{
+						id: 'output',
+						type: 'dropdown',
+						label: 'Output',
+						choices: this.getOutputChoices(),
+						allowCustom: true,
+						default: '1',
+					},
+					{
+						id: 'mode',
+						type: 'dropdown',
+						label: 'Mode',
+						choices: [
+							{ id: 'lock', label: 'Lock' },
+							{ id: 'unlock', label: 'Unlock' },
+							{ id: 'toggle', label: 'Toggle' },
+						],
+						default: 'toggle',
+					},
+				],
+				callback: async ({ options }) => {
+					const o = Number((await this.parseVariablesInString(String(options.output ?? ''))).trim())
+					const maxOut = this.outputAliases?.length || this.effectiveOutputs()
+					if (!Number.isInteger(o) || o < 1 || o > maxOut) return this.log('error', `Output must be 1..${maxOut}`)
+					const lock = options.mode === 'toggle' ? !this.lockedOutputs.has(o) : options.mode === 'lock'
+					this.setOutputLock(o, lock)
+				},
+			},
+
+			lock_selected: {
+				name: 'Lock Selected Destination',
+				options: [
+					{
+						id: 'mode',
+						type: 'dropdown',
+						label: 'Mode',
+						choices: [
+							{ id: 'lock', label: 'Lock' },
+							{ id: 'unlock', label: 'Unlock' },
+							{ id: 'toggle', label: 'Toggle' },
+						],
+						default: 'toggle',
+					},
+				],
+				callback: async ({ options }) => {
+					const o = this.selectedOutput
+					if (!o) return this.log('error', 'Select a destination first')
+					const lock = options.mode === 'toggle' ? !this.lockedOutputs.has(o) : options.mode === 'lock'
+					this.setOutputLock(o, lock)
+				},
+			},
+
+			// Salvos
+			salvo_capture: {
+				name: 'Salvo: Store current routing',
+				options: [{ id: 'name', type: 'textinput', label: 'Salvo name', default: 'Salvo 1', useVariables: true }],
+				callback: async ({ options }) => {
+					const name = (await this.parseVariablesInString(String(options.name ?? ''))).trim()
+					const routes = []
+					this.currentSources.forEach((input, idx) => {
+						if (input != null) routes.push({ output: idx + 1, input })
+					})
+					if (!routes.length) return this.log('error', 'Salvo capture: routing is not known yet')
+					this.storeSalvo(name, routes)
+				},
+			},
+
+			salvo_store_list: {
+				name: 'Salvo: Store route list',
+				options: [
+					{ id: 'name', type: 'textinput', label: 'Salvo name', default: 'Salvo 1', useVariables: true },
+					{
+						id: 'routes',
+						type: 'textinput',
+						label: 'Routes as output:input, comma separated (e.g. 1:3, 2:4)',
+						default: '',
+						useVariables: true,
+					},
+				],
+				callback: async ({ options }) => {
+					const name = (await this.parseVariablesInString(String(options.name ?? ''))).trim()
+					const text = await this.parseVariablesInString(String(options.routes ?? ''))
+					let routes
+					try {
+						routes = parseRoutePairs(text)
+					} catch (e) {
+						return this.log('error', `Salvo "${name}": ${e.message}`)
+					}
+					if (!routes.length) return this.log('error', `Salvo "${name}": no routes given`)
+					this.storeSalvo(name, routes)
+				},
+			},
+
+			salvo_delete: {
+				name: 'Salvo: Delete',
+				options: [
+					{
+						id: 'name',
+						type: 'dropdown',
+						label: 'Salvo',
+						choices: this.getSalvoChoices(),
+						allowCustom: true,
+						default: this.salvos[0]?.name ?? '',
+					},
+				],
+				callback: async ({ options }) => {
+					const name = (await this.parseVariablesInString(String(options.name ?? ''))).trim()
+					const before = this.salvos.length
+					this.salvos = this.salvos.filter((s) => s.name !== name)
+					if (this.salvos.length === before) return this.log('error', `Salvo "${name}" not found`)
+					this.log('info', `Salvo "${name}" deleted`)
+					this.salvosChanged()
+				},
+			},
+
+			fire_salvo: {
+				name: 'Salvo: Fire',
+				options: [
+					{
+						id: 'name',
+						type: 'dropdown',
+						label: 'Salvo',
+						choices: this.getSalvoChoices(),
+						allowCustom: true,
+						default: this.salvos[0]?.name ?? '',
+					},
+				],
+				callback: async ({ options }) => {
+					const name = (await this.parseVariablesInString(String(options.name ?? ''))).trim()
+					await this.fireSalvo(name)
+				},
+			},
+
+			// Control path
+			set_control_path: {
+				name: 'Force control path (primary/backup)',
+				options: [
+					{
+						id: 'path',
+						type: 'dropdown',
+						label: 'Path',
+						choices: [
+							{ id: 'primary', label: 'Primary' },
+							{ id: 'backup', label: 'Backup' },
+						],
+						default: 'primary',
+					},
+				],
+				callback: async ({ options }) => {
+					const path = options.path === 'backup' ? 'backup' : 'primary'
+					if (path === this.activePath) return this.log('info', `Control path is already ${path}`)
+					this.switchPath(path, 'forced by action')
+				},
+			},
+
+			// Raw ETL command
+			send_raw_command: {
+				name: 'Send raw ETL command',
+				options: [
+					{
+						type: 'static-text',
+						id: 'info',
+						label: '',
+						value:
+							'The body goes between the address characters and the checksum, e.g. "?" or "Q". Addresses, braces and checksum are added by the module. The reply body is stored without its addresses.',
+					},
+					{ id: 'body', type: 'textinput', label: 'Command body', default: 'Q', useVariables: true },
+					{ id: 'variable', type: 'textinput', label: 'Store reply in variable', default: 'raw_reply' },
+					{
+						id: 'regex',
+						type: 'textinput',
+						label: 'Regex to pick from the reply (optional)',
+						default: '',
+					},
+					{
+						id: 'group',
+						type: 'number',
+						label: 'Capture group',
+						default: 1,
+						min: 0,
+						max: 20,
+						isVisible: (options) => !!options.regex,
+					},
+				],
+				callback: async ({ options }) => {
+					const body = await this.parseVariablesInString(String(options.body ?? ''))
+					await this.sendRawCommand(body, String(options.variable ?? '').trim(), {
+						regex: String(options.regex ?? ''),
+						group: safeInt(options.group, 1),
+					})
+				},
+			},
+
+			// Scheduled routes
+			schedule_add: {
+				name: 'Schedule: Add route change',
+				options: [
+					{
+						id: 'input',
+						type: 'dropdown',
+						label: 'Input',
+						choices: this.getInputChoices(),
+						allowCustom: true,
+						default: '1',
+					},
+					{
+						id: 'output',
+						type: 'dropdown',
+						label: 'Output',
+						choices: this.getOutputChoices(),
+						allowCustom: true,
+						default: '1',
+					},
+					{
+						id: 'repeat',
+						type: 'dropdown',
+						label: 'Repeat',
+						choices: [
+							{ id: 'once', label: 'Once' },
+							{ id: 'recurring', label: 'Every day, or on the days below' },
+						],
+						default: 'once',
+					},
+					{
+						id: 'start',
+						type: 'textinput',
+						label: 'Start (YYYY-MM-DD HH:MM, or HH:MM)',
+						default: '14:00',
+						useVariables: true,
+					},
+					{
+						id: 'revert',
+						type: 'textinput',
+						label: 'Revert to the previous source at (optional, HH:MM)',
+						default: '',
+						useVariables: true,
+					},
+					{
+						id: 'days',
+						type: 'textinput',
+						label: 'Days for recurring entries (e.g. mon,tue,fri, blank for every day)',
+						default: '',
+						isVisible: (options) => options.repeat === 'recurring',
+					},
+				],
+				callback: async ({ options }) => {
+					const parse = async (v) => (await this.parseVariablesInString(String(v ?? ''))).trim()
+					const input = Number(await parse(options.input))
+					const output = Number(await parse(options.output))
+					if (!this.routeInRange({ output, input })) {
+						const size = this.detectedSize()
+						return this.log('error', `Schedule: route must be input 0..${size.inputs} to output 1..${size.outputs}`)
+					}
+					this.addScheduleEntry({
+						output,
+						input,
+						repeat: options.repeat,
+						start: await parse(options.start),
+						revert: await parse(options.revert),
+						days: options.days,
+					})
+				},
+			},
+
+			schedule_remove: {
+				name: 'Schedule: Remove entry',
+				options: [
+					{
+						id: 'id',
+						type: 'dropdown',
+						label: 'Entry',
+						choices: [{ id: 'all', label: 'All entries' }, ...this.getScheduleChoices()],
+						allowCustom: true,
+						default: String(this.schedule[0]?.id ?? ''),
+					},
+				],
+				callback: async ({ options }) => {
+					const id = (await this.parseVariablesInString(String(options.id ?? ''))).trim().replace(/^#/, '')
+					if (id === 'all') {
+						this.log('info', `Schedule cleared, ${this.schedule.length} entries removed`)
+						this.schedule = []
+						return this.scheduleChanged()
+					}
+					const entry = this.schedule.find((e) => String(e.id) === id)
+					if (!entry) return this.log('error', `Schedule entry #${id} not found`)
+					this.schedule = this.schedule.filter((e) => e !== entry)
+					this.log('info', `Schedule entry removed: ${describeEntry(entry)}`)
+					this.scheduleChanged()
+				},
+			},
+
+			schedule_list: {
+				name: 'Schedule: List entries to the log',
+				options: [],
+				callback: async () => {
+					if (!this.schedule.length) return this.log('info', 'Schedule is empty')
+					for (const e of this.schedule) {
+						const next = e.nextAt != null ? `, next ${e.nextKind} ${formatTime(e.nextAt, this.scheduleUtc())}` : ''
+						this.log('info', `Schedule ${describeEntry(e)}${next}`)
+					}
+				},
+			},
+
+			// Routing snapshots
+			snapshot_export: {
+				name: 'Snapshot: Export routing to file',
+				options: [
+					{
+						id: 'file',
+						type: 'textinput',
+						label: 'File (relative to the snapshot folder)',
+						default: 'routing.json',
+						useVariables: true,
+					},
+					SNAPSHOT_FORMAT_OPTION,
+				],
+				callback: async ({ options }) => {
+					const file = (await this.parseVariablesInString(String(options.file ?? ''))).trim()
+					await this.exportSnapshot(file, options.format)
+				},
+			},
+
+			snapshot_import: {
+				name: 'Snapshot: Import routing from file',
+				options: [
+					{
+						id: 'file',
+						type: 'textinput',
+						label: 'File (relative to the snapshot folder)',
+						default: 'routing.json',
+						useVariables: true,
+					},
+					SNAPSHOT_FORMAT_OPTION,
+					{
+						id: 'mode',
+						type: 'dropdown',
+						label: 'Mode',
+						choices: [
+							{ id: 'dry_run', label: 'Dry run, report differences only' },
+							{ id: 'apply', label: 'Apply differing routes' },
+						],
+						default: 'dry_run',
+					},
+				],
+				callback: async ({ options }) => {
+					const file = (await this.parseVariablesInString(String(options.file ?? ''))).trim()
+					await this.importSnapshot(file, options.format, options.mode === 'apply')
+				},
+			},
+		})
+	}
+
+	// ---------- feedbacks ----------
+	initFeedbacks() {
+		this.setFeedbackDefinitions({
+			// Yellow background when destination button matches selected
+			destSelected: {
+				name: 'Destination is selected',
+				type: 'boolean',
+				options: [{ type: 'number', id: 'output', label: 'Output', default: 1, min: 1, max: 999 }],
+				defaultStyle: { bgcolor: 0xffff00, color: 0x000000 },
+				callback: (fb) => this.isDestSelected(safeInt(fb.options.output, 0)),
+			},
+
+			// Green when routed to selected destination
+			srcMatchesSelected: {
+				name: 'Source is routed to selected destination',
+				type: 'boolean',
+				options: [{ type: 'number', id: 'input', label: 'Input', default: 1, min: 1, max: 999 }],
+				defaultStyle: { bgcolor: 0x00ff00, color: 0x000000 },
+				callback: (fb) => this.isSourceOnSelected(Number(fb.options.input ?? -1)),
+			},
+
+			// Green when both members match for the selected odd destination pair
+			pairMatchesSelected: {
+				name: 'Paired inputs match selected odd destination pair',
+				type: 'boolean',
+				options: [{ type: 'number', id: 'input_odd', label: 'Odd input', default: 1, min: 1, max: 999 }],
+				defaultStyle: { bgcolor: 0x00ff00, color: 0x000000 },
+				callback: (fb) => {
+					const i1 = Number(fb.options.input_odd ?? 0)
+					const o1 = this.selectedOutput
+					if (!o1 || i1 % 2 === 0 || o1 % 2 === 0) return false
+					const i2 = i1 + 1
+					const o2 = o1 + 1
+					const cur1 = Number(this.currentSources[o1 - 1] ?? -99)
+					const cur2 = Number(this.currentSources[o2 - 1] ?? -98)
+					return cur1 === i1 && cur2 === i2
+				},
+			},
+
+			// Green when every member of the source group feeds its destination member
+			groupMatches: {
+				name: 'Source group matches destination group',
+				type: 'boolean',
+				options: [
+					{
+						id: 'source',
+						type: 'dropdown',
+						label: 'Source group',
+						choices: this.getGroupChoices('source'),
+						allowCustom: true,
+						default: this.getGroupChoices('source')[0]?.id ?? '',
+					},
+					{
+						id: 'destination',
+						type: 'dropdown',
+						label: 'Destination group',
+						choices: [{ id: '', label: 'Selected destination' }, ...this.getGroupChoices('destination')],
+						allowCustom: true,
+						default: '',
+					},
+				],
+				defaultStyle: { bgcolor: 0x00ff00, color: 0x000000 },
+				callback: (fb) => this.groupMatches(String(fb.options.source ?? ''), String(fb.options.destination ?? '')),
+			},
+
+			groupPending: {
+				name: 'Source group is preselected (take pending)',
+				type: 'boolean',
+				options: [
+					{
+						id: 'source',
+						type: 'dropdown',
+						label: 'Source group',
+						choices: this.getGroupChoices('source'),
+						allowCustom: true,
+						default: this.getGroupChoices('source')[0]?.id ?? '',
+					},
+				],
+				defaultStyle: { bgcolor: 0xff8000, color: 0x000000 },
+				callback: (fb) => !!this.pendingTake?.group && this.pendingTake.group === String(fb.options.source ?? ''),
+			},
+
+			// Amber while a source is preselected in take mode
+			srcPending: {
+				name: 'Source is preselected (take pending)',
+				type: 'boolean',
+				options: [
+					{ type: 'number', id: 'input', label: 'Input (odd input for pairs)', default: 1, min: 1, max: 999 },
+					{ type: 'checkbox', id: 'pair', label: 'Paired source', default: false },
+				],
+				defaultStyle: { bgcolor: 0xff8000, color: 0x000000 },
+				callback: (fb) => this.isSourcePending(safeInt(fb.options.input, 0), !!fb.options.pair),
+			},
+
+			takePending: {
+				name: 'Take is pending',
+				type: 'boolean',
+				options: [],
+				defaultStyle: { bgcolor: 0xff8000, color: 0x000000 },
+				callback: () => !!this.pendingTake,
+			},
+
+			destDisconnected: {
+				name: 'Destination is disconnected (off or parked)',
+				type: 'boolean',
+				options: [{ type: 'number', id: 'output', label: 'Output', default: 1, min: 1, max: 999 }],
+				defaultStyle: { color: 0x888888, bgcolor: 0x000000 },
+				callback: (fb) => {
+					const o = safeInt(fb.options.output, 0)
+					this.trackFeedbackOutput(fb, o)
+					return this.isDisconnected(o)
+				},
+				unsubscribe: (fb) => this.feedbackOutputs.delete(fb.id),
+			},
+
+			selectedDisconnected: {
+				name: 'Selected destination is disconnected (off or parked)',
+				type: 'boolean',
+				options: [],
+				defaultStyle: { bgcolor: 0x666666, color: 0xffffff },
+				callback: () => {
+					if (this.multiSelect) {
+						const marked = [...this.multiOutputs]
+						return marked.length > 0 && marked.every((o) => this.isDisconnected(o))
+					}
+					return !!this.selectedOutput && this.isDisconnected(this.selectedOutput)
+				},
+			},
+
+			srcFilteredOut: {
+				name: 'Source does not match the source filter',
+				type: 'boolean',
+				options: [{ type: 'number', id: 'input', label: 'Input', default: 1, min: 1, max: 999 }],
+				defaultStyle: { color: 0x555555, bgcolor: 0x000000 },
+				callback: (fb) => !this.sourcePassesFilter(safeInt(fb.options.input, 0)),
+			},
+
+			// Paged XY slots, the port comes from the current page
+			destSlotSelected: {
+				name: 'Paged XY: Destination slot is selected',
+				type: 'boolean',
+				options: [SLOT_OPTION],
+				defaultStyle: { bgcolor: 0xffff00, color: 0x000000 },
+				callback: (fb) => this.isDestSelected(this.slotPort('dest', fb.options.slot)),
+			},
+			destSlotLocked: {
+				name: 'Paged XY: Destination slot is locked',
+				type: 'boolean',
+				options: [SLOT_OPTION],
+				defaultStyle: { bgcolor: 0xcc0000, color: 0xffffff },
+				callback: (fb) => this.lockedOutputs.has(this.slotPort('dest', fb.options.slot)),
+			},
+			srcSlotMatchesSelected: {
+				name: 'Paged XY: Source slot is routed to selected destination',
+				type: 'boolean',
+				options: [SLOT_OPTION],
+				defaultStyle: { bgcolor: 0x00ff00, color: 0x000000 },
+				callback: (fb) => {
+					const i = this.slotPort('src', fb.options.slot)
+					return i > 0 && this.isSourceOnSelected(i)
+				},
+			},
+			srcSlotPending: {
+				name: 'Paged XY: Source slot is preselected (take pending)',
+				type: 'boolean',
+				options: [SLOT_OPTION],
+				defaultStyle: { bgcolor: 0xff8000, color: 0x000000 },
+				callback: (fb) => this.isSourcePending(this.slotPort('src', fb.options.slot), false),
+			},
+
+			multiSelectActive: {
+				name: 'Multi-select destinations mode is on',
+				type: 'boolean',
+				options: [],
+				defaultStyle: { bgcolor: 0x0066cc, color: 0xffffff },
+				callback: () => this.multiSelect,
+			},
+
+			takeModeActive: {
+				name: 'Preview/take mode is on',
+				type: 'boolean',
+				options: [],
+				defaultStyle: { bgcolor: 0x663300, color: 0xffffff },
+				callback: () => this.takeMode,
+			},
+
+			rehearsalActive: {
+				name: 'Rehearsal mode is on',
+				type: 'boolean',
+				options: [],
+				defaultStyle: { bgcolor: 0x6600cc, color: 0xffffff },
+				callback: () => this.rehearsal,
+			},
+
+			// Fixed crosspoint tally, independent of the selected destination
+			crosspointActive: {
+				name: 'Crosspoint is active (output fed by input)',
+				type: 'boolean',
+				options: [
+					{ type: 'textinput', id: 'output', label: 'Output', default: '1', useVariables: true },
+					{ type: 'textinput', id: 'input', label: 'Input', default: '1', useVariables: true },
+				],
+				defaultStyle: { bgcolor: 0x00ff00, color: 0x000000 },
+				callback: async (fb, context) => {
+					const o = await this.feedbackNumber(fb.options.output, context)
+					const i = await this.feedbackNumber(fb.options.input, context)
+					this.trackFeedbackOutput(fb, o)
+					if (!Number.isInteger(o) || o < 1) return false
+					return Number(this.currentSources[o - 1] ?? -1) === i
+				},
+				unsubscribe: (fb) => this.feedbackOutputs.delete(fb.id),
+			},
+
+			// Lights while an input feeds at least the given number of outputs
+			inputInUse: {
+				name: 'Input is in use (feeds outputs)',
+				type: 'boolean',
+				options: [
+					{ type: 'textinput', id: 'input', label: 'Input', default: '1', useVariables: true },
+					{ type: 'number', id: 'threshold', label: 'At least this many outputs', default: 1, min: 1, max: 999 },
+				],
+				defaultStyle: { bgcolor: 0xff8000, color: 0x000000 },
+				callback: async (fb, context) => {
+					const i = await this.feedbackNumber(fb.options.input, context)
+					if (!Number.isInteger(i) || i < 1) return false
+					const count = this.currentSources.filter((src) => src === i).length
+					return count >= Math.max(1, safeInt(fb.options.threshold, 1))
+				},
+			},
+
+			usageConfirmPending: {
+				name: 'A route waits for its second press (last output check)',
+				type: 'boolean',
+				options: [],
+				defaultStyle: { bgcolor: 0xff0000, color: 0xffffff },
+				callback: () => !!this.usageConfirm,
+			},
+
+			// Writes the routed source alias onto a destination button
+			destSourceName: {
+				name: 'Destination tally text (routed source name)',
+				type: 'advanced',
+				options: [
+					{ type: 'textinput', id: 'output', label: 'Output', default: '1', useVariables: true },
+					{ type: 'checkbox', id: 'show_dest', label: 'Show destination name above', default: true },
+				],
+				callback: async (fb, context) => {
+					const o = await this.feedbackNumber(fb.options.output, context)
+					this.trackFeedbackOutput(fb, o)
+					if (!Number.isInteger(o) || o < 1) return {}
+					const src = this.sourceName(this.currentSources[o - 1]) || '---'
+					if (!fb.options.show_dest) return { text: src }
+					return { text: `${this.outputAliases[o - 1] || `O${pad3(o)}`}\n${src}` }
+				},
+				unsubscribe: (fb) => this.feedbackOutputs.delete(fb.id),
+			},
+
+			// Red while an alarm flag is raised
+			...Object.fromEntries(
+				ALARMS.map((a) => [
+					a.feedbackId,
+					{
+						name: `Alarm: ${a.label}`,
+						type: 'boolean',
+						options: [],
+						defaultStyle: { bgcolor: 0xcc0000, color: 0xffffff },
+						callback: () => this.isAlarm(this.alarmFlags[a.id]),
+					},
+				]),
+			),
+			anyAlarm: {
+				name: 'Alarm: Any',
+				type: 'boolean',
+				options: [],
+				defaultStyle: { bgcolor: 0xcc0000, color: 0xffffff },
+				callback: () => this.activeAlarms().length > 0,
+			},
+
+			// Red when the last route to a destination was not taken
+			routeFailed: {
+				name: 'Route to destination failed',
+				type: 'boolean',
+				options: [{ type: 'number', id: 'output', label: 'Output', default: 1, min: 1, max: 999 }],
+				defaultStyle: { bgcolor: 0xff0000, color: 0xffffff },
+				callback: (fb) => this.failedOutputs.has(safeInt(fb.options.output, 0)),
+			},
+
+			// Red when a destination refuses routes
+			destLocked: {
+				name: 'Destination is locked',
+				type: 'boolean',
+				options: [{ type: 'number', id: 'output', label: 'Output', default: 1, min: 1, max: 999 }],
+				defaultStyle: { bgcolor: 0xcc0000, color: 0xffffff },
+				callback: (fb) => this.lockedOutputs.has(safeInt(fb.options.output, 0)),
+			},
+
+			activePath: {
+				name: 'Control path in use',
+				type: 'boolean',
+				options: [
+					{
+						id: 'path',
+						type: 'dropdown',
+						label: 'Path',
+						choices: [
+							{ id: 'primary', label: 'Primary' },
+							{ id: 'backup', label: 'Backup' },
+						],
+						default: 'backup',
+					},
+				],
+				defaultStyle: { bgcolor: 0xff8800, color: 0x000000 },
+				callback: (fb) => this.activePath === fb.options.path,
+			},
+
+			// Lights on the result of a raw command, learn takes the current value
+			rawReplyMatches: {
+				name: 'Raw command result matches',
+				type: 'boolean',
+				options: [
+					{ id: 'variable', type: 'textinput', label: 'Result variable', default: 'raw_reply' },
+					{
+						id: 'mode',
+						type: 'dropdown',
+						label: 'Match',
+						choices: [
+							{ id: 'equals', label: 'Equals' },
+							{ id: 'contains', label: 'Contains' },
+							{ id: 'regex', label: 'Regex' },
+						],
+						default: 'equals',
+					},
+					{ id: 'value', type: 'textinput', label: 'Value', default: '' },
+				],
+				defaultStyle: { bgcolor: 0x00ff00, color: 0x000000 },
+				callback: (fb) => {
+					const name = String(fb.options.variable ?? '').trim()
+					if (!this.rawValues.has(name)) return false
+					return rawResultMatches(this.rawValues.get(name), fb.options.mode, String(fb.options.value ?? ''))
+				},
+				learn: (fb) => {
+					const name = String(fb.options.variable ?? '').trim()
+					if (!this.rawValues.has(name)) return undefined
+					return { ...fb.options, mode: 'equals', value: this.rawValues.get(name) }
+				},
+			},
+
+			// Green when every crosspoint of a salvo is live
+			salvoActive: {
+				name: 'Salvo matches live routing',
+				type: 'boolean',
+				options: [
+					{
+						id: 'name',
+						type: 'dropdown',
+						label: 'Salvo',
+						choices: this.getSalvoChoices(),
+						allowCustom: true,
+						default: this.salvos[0]?.name ?? '',
+					},
+				],
+				defaultStyle: { bgcolor: 0x00ff00, color: 0x000000 },
+				callback: (fb) => {
+					const salvo = this.salvos.find((s) => s.name === String(fb.options.name ?? ''))
+					if (!salvo) return false
+					return salvo.routes.every((r) => Number(this.currentSources[r.output - 1] ?? -1) === r.input)
+				},
+			},
+		})
+	}
+
+	// ---------- salvos ----------
+	storeSalvo(name, routes) {
+		if (!name) return this.log('error', 'Salvo name is empty')
+		const salvo = { name, routes }
+		const idx = this.salvos.findIndex((s) => s.name === name)
+		if (idx >= 0) this.salvos[idx] = salvo
+		else this.salvos.push(salvo)
+		this.log('info', `Salvo "${name}" stored with ${routes.length} routes`)
+		this.salvosChanged()
+	}
+	salvosChanged() {
+		this.persistState()
+		this.setVariableValues(this.salvoVariableValues())
+		// salvo dropdowns live in action and feedback definitions
+		this.initActions()
+		this.initFeedbacks()
+		this.checkFeedbacks('salvoActive')
+	}
+	salvoVariableValues() {
+		return {
+			salvo_count: String(this.salvos.length),
+			salvo_names: this.salvos.map((s) => s.name).join(', '),
+		}
+	}
+	async fireSalvo(name) {
+		const salvo = this.salvos.find((s) => s.name === name)
+		if (!salvo) return this.log('error', `Salvo "${name}" not found`)
+		const sent = await this.applyRoutes(salvo.routes, `Salvo "${name}"`)
+		this.log('info', `Salvo "${name}" fired, ${sent.length} of ${salvo.routes.length} routes sent`)
+		this.setVariableValues({ salvo_last_fired: name })
+	}
+
+	// ---------- groups ----------
+	/**
+	 * Store source or destination groups from a port list in member order. With
+	 * a size the list is cut into groups of that many ports named "<name> 1",
+	 * "<name> 2"..., without one it is a single group. Same-named groups are replaced.
+	 */
+	storeGroups(kind, name, ports, size) {
+		if (!name) return this.log('error', 'Group name is empty')
+		const what = `Group "${name}"`
+		if (!ports.length) return this.log('error', `${what}: no ports given`)
+		const dup = ports.find((p, idx) => ports.indexOf(p) !== idx)
+		if (dup) return this.log('error', `${what}: port ${pad3(dup)} is listed twice`)
+		const max = kind === 'source' ? this.detectedSize().inputs : this.detectedSize().outputs
+		const bad = ports.find((p) => p < 1 || p > max)
+		if (bad) return this.log('error', `${what}: port ${bad} is out of range 1..${max}`)
+		size = size > 0 ? size : ports.length
+		if (ports.length % size)
+			return this.log('error', `${what}: ${ports.length} ports do not split into groups of ${size}`)
+		const made = []
+		for (let k = 0; k < ports.length; k += size) {
+			const groupName = size < ports.length ? `${name} ${k / size + 1}` : name
+			made.push({ name: groupName, kind, ports: ports.slice(k, k + size) })
+		}
+		for (const g of made) {
+			const idx = this.groups.findIndex((x) => x.kind === kind && x.name === g.name)
+			if (idx >= 0) this.groups[idx] = g
+			else this.groups.push(g)
+		}
+		this.log('info', `${kind} groups stored: ${made.map((g) => `${g.name} = ${g.ports.join(',')}`).join('; ')}`)
+		this.groupsChanged()
+	}
+	groupsChanged() {
+		this.persistState()
+		this.setVariableValues(this.groupVariableValues())
+		// group dropdowns and the per-group presets follow the stored groups
+		this.initActions()
+		this.initFeedbacks()
+		this.buildAndSetPresets()
+		this.checkFeedbacks('groupMatches', 'groupPending')
+	}
+	groupVariableValues() {
+		const names = (kind) =>
+			this.groups
+				.filter((g) => g.kind === kind)
+				.map((g) => g.name)
+				.join(', ')
+		return { source_groups: names('source'), destination_groups: names('destination') }
+	}
+	findGroup(kind, name) {
+		return this.groups.find((g) => g.kind === kind && g.name === name) ?? null
+	}
+	/**
+	 * Outputs a group of `size` ports goes to from the XY selection: the first
+	 * destination group of that size holding the selected output, else that
+	 * many consecutive outputs starting at the selected one.
+	 */
+	selectedGroupOutputs(size) {
+		const o = this.selectedOutput
+		if (!o) return null
+		const dst = this.groups.find((g) => g.kind === 'destination' && g.ports.length === size && g.ports.includes(o))
+		return dst ? dst.ports : Array.from({ length: size }, (_, k) => o + k)
+	}
+	/** Member k to member k routes, or null after logging why not. A blank destination means the selection. */
+	groupRoutes(srcName, dstName, what) {
+		const src = this.findGroup('source', srcName)
+		if (!src) {
+			this.log('error', `${what}: source group "${srcName}" not found`)
+			return null
+		}
+		let outputs
+		if (dstName) {
+			outputs = this.findGroup('destination', dstName)?.ports
+			if (!outputs) {
+				this.log('error', `${what}: destination group "${dstName}" not found`)
+				return null
+			}
+		} else {
+			outputs = this.selectedGroupOutputs(src.ports.length)
+			if (!outputs) {
+				this.log('error', 'Select a destination first')
+				return null
+			}
+		}
+		if (outputs.length !== src.ports.length) {
+			this.log('error', `${what}: "${src.name}" has ${src.ports.length} ports, the destination ${outputs.length}`)
+			return null
+		}
+		return src.ports.map((input, k) => ({ output: outputs[k], input }))
+	}
+	/** Route a whole group or nothing. Going to the selection honours take mode. */
+	async routeGroup(srcName, dstName, what) {
+		const routes = this.groupRoutes(srcName, dstName, what)
+		if (!routes) return
+		const bad = routes.find((r) => !this.routeInRange(r))
+		if (bad) return this.log('error', `${what}: ${bad.output}:${bad.input} is out of range`)
+		const outputs = routes.map((r) => r.output)
+		if (!this.routeAllowed(outputs, what)) return
+		if (this.takeMode && !dstName) {
+			return this.setPendingTake({ output: outputs[0], input: routes[0].input, pair: false, group: srcName, routes })
+		}
+		if (!this.lastUsageConfirmed(routes, what)) return
+		await this.applyRoutes(routes, what)
+	}
+	groupMatches(srcName, dstName) {
+		const src = this.findGroup('source', srcName)
+		if (!src) return false
+		const outputs = dstName
+			? this.findGroup('destination', dstName)?.ports
+			: this.selectedGroupOutputs(src.ports.length)
+		if (!outputs || outputs.length !== src.ports.length) return false
+		return src.ports.every((input, k) => this.currentSources[outputs[k] - 1] === input)
+	}
+
+	/** Matrix size as detected from the alias dump, else as configured. */
+	detectedSize() {
+		return {
+			outputs: this.outputAliases?.length || this.effectiveOutputs(),
+			inputs: this.inputAliases?.length || this.effectiveInputs(),
+		}
+	}
+	/** Input 0 is the off crosspoint and counts as in range. */
+	routeInRange({ output, input }) {
+		const size = this.detectedSize()
+		return output >= 1 && output <= size.outputs && input >= 0 && input <= size.inputs
+	}
+	/**
+	 * Send a list of routes back to back, skipping out of range and locked
+	 * outputs, then confirm the lot with one status poll. Returns the routes sent.
+	 */
+	async applyRoutes(routes, what) {
+		const sent = []
+		for (const { output, input } of routes) {
+			if (!this.routeInRange({ output, input })) {
+				this.log('error', `${what}: skipping ${output}:${input}, out of range`)
+				continue
+			}
+			if (!this.routeAllowed([output], what)) continue
+			if (await this.sendRoute(output, input, { confirm: false })) sent.push({ output, input })
+		}
+		await this.pollStatusOnce()
+		if (this.confirmRoutes()) this.confirmBatch(sent)
+		return sent
+	}
+
+	// ---------- raw commands ----------
+	/**
+	 * Send a body the module has no action for and keep the reply, or one
+	 * regex capture group of it, in a variable named by the user.
+	 */
+	async sendRawCommand(body, variable, { regex = '', group = 1 } = {}) {
+		body = String(body ?? '').trim()
+		if (!body) return this.log('error', 'Raw command: body is empty')
+		if (/[{}]/.test(body) || !/^[\x20-\x7e]+$/.test(body)) {
+			return this.log('error', 'Raw command: body must be printable ASCII without braces')
+		}
+		// a switch sent raw would skip locks, route history and the routing table
+		if (/^s,\d+,\d+$/i.test(body)) {
+			return this.log('error', `Raw command: ${body} is a switch, use the Route action so locks and history apply`)
+		}
+		if (!/^[A-Za-z0-9_-]+$/.test(variable)) {
+			return this.log('error', `Raw command: "${variable}" is not a valid variable name (letters, digits, _ and -)`)
+		}
+		if (this.builtinVariableIds.has(variable)) {
+			return this.log('error', `Raw command: "${variable}" is a module variable, pick another name`)
+		}
+		let pattern = null
+		if (regex) {
+			try {
+				pattern = new RegExp(regex)
+			} catch (e) {
+				return this.log('error', `Raw command: bad regex: ${e.message}`)
+			}
+		}
+
+		// any frame answers a raw command, it may be a status or alias reply
+		const reply = await this.sendBody(`${this.dstAddr()}${this.srcAddr()}${body}`, { match: () => true })
+		if (reply == null) return
+		const inner = frameInner(reply)
+		let value = inner == null ? '' : inner.slice(2)
+		if (pattern) {
+			const m = value.match(pattern)
+			if (!m) this.log('warn', `Raw command ${body}: reply ${JSON.stringify(value)} does not match ${regex}`)
+			value = m?.[group] ?? ''
+		}
+		this.log('debug', `Raw command ${body} -> ${variable} = ${JSON.stringify(value)}`)
+		const isNew = !this.rawValues.has(variable)
+		this.rawValues.set(variable, value)
+		if (isNew) {
+			this.persistState()
+			this.rebuildVariableDefinitions()
+		} else {
+			this.setVariableValues({ [variable]: value })
+		}
+		this.checkFeedbacks('rawReplyMatches')
+	}
+
+	// ---------- scheduled routes ----------
+	scheduleUtc() {
+		return this.config?.scheduleUtc !== false
+	}
+	/** Clock used by the scheduler, replaceable in tests. */
+	now() {
+		return Date.now()
+	}
+	startScheduler() {
+		this.stopScheduler()
+		this.scheduleTimer = setInterval(() => this.scheduleTick(), 1000)
+	}
+	stopScheduler() {
+		if (this.scheduleTimer) clearInterval(this.scheduleTimer)
+		this.scheduleTimer = null
+	}
+	addScheduleEntry(options) {
+		const id = this.schedule.reduce((max, e) => Math.max(max, e.id), 0) + 1
+		let entry
+		try {
+			entry = createEntry({ id, ...options }, this.now(), this.scheduleUtc())
+		} catch (e) {
+			return this.log('error', `Schedule: ${e.message}`)
+		}
+		this.schedule.push(entry)
+		this.log('info', `Schedule entry added: ${describeEntry(entry)}`)
+		this.scheduleChanged()
+	}
+	scheduleChanged() {
+		this.persistState()
+		this.setVariableValues(this.scheduleVariableValues())
+		// the remove action lists the entries
+		this.initActions()
+	}
+	scheduleVariableValues() {
+		const utc = this.scheduleUtc()
+		const next = this.schedule
+			.filter((e) => e.nextAt != null)
+			.reduce((a, e) => (a && a.nextAt <= e.nextAt ? a : e), null)
+		const input = next && (next.nextKind === 'revert' ? next.revertTo : next.input)
+		return {
+			schedule_count: String(this.schedule.length),
+			schedule_list: this.schedule.map((e) => describeEntry(e)).join(' | '),
+			schedule_next: next ? `${pad3(input ?? 0)} > ${pad3(next.output)} (${next.nextKind}, #${next.id})` : '',
+			schedule_next_time: next ? `${formatTime(next.nextAt, utc)}${utc ? ' UTC' : ''}` : '',
+			schedule_countdown: next ? formatCountdown(next.nextAt - this.now()) : '',
+			schedule_missed_count: String(this.scheduleMissed),
+			schedule_last_missed: this.scheduleLastMissed,
+		}
+	}
+	/** Run every due entry. Changes older than the grace period are reported as missed, not applied. */
+	async scheduleTick() {
+		if (this.scheduleBusy) return
+		this.scheduleBusy = true
+		try {
+			const now = this.now()
+			let changed = false
+			for (const entry of [...this.schedule]) {
+				if (entry.nextAt == null || entry.nextAt > now) continue
+				await this.runScheduleEvent(entry, now)
+				changed = true
+			}
+			if (changed) this.scheduleChanged()
+			else this.setVariableValues(this.scheduleVariableValues())
+		} finally {
+			this.scheduleBusy = false
+		}
+	}
+	async runScheduleEvent(entry, now) {
+		const utc = this.scheduleUtc()
+		const at = entry.nextAt
+		const kind = entry.nextKind
+		const what = `Schedule #${entry.id}`
+		const done = kind === 'revert' || !entry.revert
+		if (now - at > SCHEDULE_GRACE_MS) {
+			const m = `${what} missed ${kind} of output ${pad3(entry.output)} due ${formatTime(at, utc)}${utc ? ' UTC' : ''}, not applied`
+			this.scheduleMissed++
+			this.scheduleLastMissed = m
+			this.log('warn', m)
+			entry.revertTo = null
+		} else if (kind === 'apply') {
+			entry.revertTo = null
+			if (this.routeAllowed([entry.output], what)) {
+				entry.revertTo = this.currentSources[entry.output - 1] ?? null
+				this.log('info', `${what}: input ${pad3(entry.input)} > output ${pad3(entry.output)}`)
+				await this.sendRoute(entry.output, entry.input)
+			}
+		} else if (entry.revertTo != null && this.routeAllowed([entry.output], what)) {
+			this.log('info', `${what}: output ${pad3(entry.output)} back to input ${pad3(entry.revertTo)}`)
+			await this.sendRoute(entry.output, entry.revertTo)
+		}
+
+		// a missed start has nothing to revert
+		const revert = !done && entry.revertTo != null ? revertAt(entry, at, utc) : null
+		if (revert != null && revert > now) {
+			entry.nextAt = revert
+			entry.nextKind = 'revert'
+			return
+		}
+		entry.nextAt = nextStart(entry, now, utc)
+		entry.nextKind = 'apply'
+		entry.revertTo = null
+		if (entry.nextAt == null) {
+			this.schedule = this.schedule.filter((e) => e !== entry)
+			this.log('info', `${what} finished and removed`)
+		}
+	}
+
+	// ---------- routing snapshots ----------
+	snapshotDir() {
+		return String(this.config?.snapshotDir || '').trim() || path.join(os.homedir(), 'companion-etl-snapshots')
+	}
+	/** Relative file names land in the configured snapshot folder. */
+	snapshotPath(file) {
+		return path.resolve(this.snapshotDir(), file)
+	}
+	async exportSnapshot(file, format) {
+		if (!file) return this.log('error', 'Snapshot export: file name is empty')
+		const full = this.snapshotPath(file)
+		const fmt = snapshotFormat(full, format)
+		const { outputs, inputs } = this.detectedSize()
+		const snapshot = buildSnapshot({
+			outputs,
+			inputs,
+			currentSources: this.currentSources,
+			outputAliases: this.outputAliases,
+			inputAliases: this.inputAliases,
+		})
+		try {
+			await fs.mkdir(path.dirname(full), { recursive: true })
+			await fs.writeFile(full, formatSnapshot(snapshot, fmt), 'utf8')
+		} catch (e) {
+			const m = `Snapshot export to ${full} failed: ${e.message}`
+			this.setVariableValues({ last_error: m })
+			return this.log('error', m)
+		}
+		this.setVariableValues({ snapshot_last_file: full })
+		this.log('info', `Snapshot of ${outputs} outputs exported to ${full}`)
+	}
+	/**
+	 * Read a snapshot and compare it with the live routing. With `apply` the
+	 * differing routes are sent as one batch, locked and out of range outputs
+	 * are refused. A file for a different matrix size is refused as a whole.
+	 */
+	async importSnapshot(file, format, apply) {
+		if (!file) return this.log('error', 'Snapshot import: file name is empty')
+		const full = this.snapshotPath(file)
+		const what = `Snapshot import ${path.basename(full)}`
+		const fail = (m) => {
+			this.setVariableValues({ last_error: `${what}: ${m}` })
+			this.log('error', `${what}: ${m}`)
+		}
+		let snap
+		try {
+			snap = parseSnapshot(await fs.readFile(full, 'utf8'), snapshotFormat(full, format))
+		} catch (e) {
+			return fail(e.message)
+		}
+		const size = this.detectedSize()
+		if ((snap.outputs && snap.outputs !== size.outputs) || (snap.inputs && snap.inputs !== size.inputs)) {
+			return fail(
+				`file is for ${snap.outputs ?? '?'} outputs x ${snap.inputs ?? '?'} inputs, matrix is ${size.outputs} x ${size.inputs}`,
+			)
+		}
+
+		const diff = snap.routes.filter(({ output, input }) => this.currentSources[output - 1] !== input)
+		const text = diff
+			.map(({ output, input }) => `${pad3(output)}: ${pad3(this.currentSources[output - 1] ?? 0)}>${pad3(input)}`)
+			.join(', ')
+		this.setVariableValues({
+			snapshot_last_file: full,
+			snapshot_diff_count: String(diff.length),
+			snapshot_diff: text,
+		})
+		if (!apply) {
+			const refused = diff.filter((r) => this.lockedOutputs.has(r.output) || !this.routeInRange(r))
+			this.log('info', `${what} (dry run): ${diff.length} routes differ${diff.length ? `: ${text}` : ''}`)
+			if (refused.length) {
+				this.log('warn', `${what} (dry run): would refuse output ${refused.map((r) => pad3(r.output)).join(', ')}`)
+			}
+			return
+		}
+		if (!diff.length) return this.log('info', `${what}: routing already matches`)
+		const sent = await this.applyRoutes(diff, what)
+		this.log('info', `${what}: ${sent.length} of ${diff.length} differing routes sent`)
+	}
+
+	// ---------- feedback refresh ----------
+	/** Remember which output a feedback instance shows, so it is only re-checked when that output moves. */
+	trackFeedbackOutput(fb, output) {
+		if (fb?.id) this.feedbackOutputs.set(fb.id, output)
+	}
+	/** Re-check only the feedbacks that depend on the given outputs. */
+	refreshRoutingFeedbacks(outputs) {
+		if (!outputs.length) return
+		const changed = new Set(outputs)
+		const ids = []
+		for (const [id, o] of this.feedbackOutputs) if (changed.has(o)) ids.push(id)
+		if (ids.length) this.checkFeedbacksById(...ids)
+		const sel = this.selectedOutput
+		if (sel && (changed.has(sel) || changed.has(sel + 1)))
+			this.checkFeedbacks('srcMatchesSelected', 'srcSlotMatchesSelected', 'pairMatchesSelected', 'selectedDisconnected')
+		else if (this.multiSelect && outputs.some((o) => this.multiOutputs.has(o)))
+			this.checkFeedbacks('srcMatchesSelected', 'srcSlotMatchesSelected', 'selectedDisconnected')
+		if (this.salvos.length) this.checkFeedbacks('salvoActive')
+		if (this.groups.length) this.checkFeedbacks('groupMatches')
+		this.checkFeedbacks('inputInUse')
+	}
+	checkSelectionFeedbacks() {
+		this.checkFeedbacks(
+			'destSelected',
+			'destSlotSelected',
+			'srcMatchesSelected',
+			'srcSlotMatchesSelected',
+			'pairMatchesSelected',
+			'srcPending',
+			'srcSlotPending',
+			'selectedDisconnected',
+			'groupMatches',
+			'groupPending',
+		)
+	}
+	/** Pass on only the values that differ from what was last published. */
+	setVariableValues(values) {
+		const changed = {}
+		let any = false
+		for (const [id, value] of Object.entries(values)) {
+			if (this.publishedValues.get(id) === value) continue
+			this.publishedValues.set(id, value)
+			changed[id] = value
+			any = true
+		}
+		if (any) super.setVariableValues(changed)
+	}
+
+	// ---------- rehearsal ----------
+	startRehearsal() {
+		if (this.rehearsal) return
+		this.rehearsal = true
+		this.rehearsalRoutes.clear()
+		this.liveSources = this.currentSources.slice()
+		// undo during rehearsal walks the rehearsed changes, the real history comes back on leaving
+		this.rehearsalHistory = { history: this.routeHistory.slice(), redo: this.redoStack.slice() }
+		this.log('info', 'Rehearsal mode on, routes change the virtual routing table only')
+		this.setVariableValues(this.rehearsalVariableValues())
+		this.checkFeedbacks('rehearsalActive')
+	}
+	/**
+	 * Leave rehearsal, logging the rehearsed routes that differ from the live
+	 * matrix. With `apply` they are then sent to the matrix as one batch.
+	 */
+	async endRehearsal(apply) {
+		if (!this.rehearsal) return this.log('info', 'Rehearsal mode is not on')
+		const diff = this.rehearsalDiff()
+		this.log(
+			'info',
+			`Leaving rehearsal, ${diff.length} routes differ from the live matrix${diff.length ? `: ${this.formatRehearsalDiff(diff)}` : ''}`,
+		)
+		const touched = [...this.rehearsalRoutes.keys()]
+		this.rehearsal = false
+		this.rehearsalRoutes.clear()
+		this.currentSources = this.liveSources.slice()
+		this.routeHistory = this.rehearsalHistory.history
+		this.redoStack = this.rehearsalHistory.redo
+		this.rehearsalHistory = null
+		this.historyChanged()
+		const vals = this.rehearsalVariableValues()
+		for (const o of touched) Object.assign(vals, this.outputSourceValues(o))
+		Object.assign(vals, this.usageVariableValues())
+		this.setVariableValues(vals)
+		this.refreshRoutingFeedbacks(touched)
+		this.checkFeedbacks('rehearsalActive')
+
+		if (!apply) return this.log('info', `Rehearsal discarded, ${diff.length} routes dropped`)
+		const sent = await this.applyRoutes(
+			diff.map(({ output, input }) => ({ output, input })),
+			'Rehearsal apply',
+		)
+		this.log('info', `Rehearsal applied, ${sent.length} of ${diff.length} routes sent`)
+	}
+	/** A switch while rehearsing: update the virtual table and answer like the matrix would. */
+	rehearseSwitch(output, input, cmd) {
+		const size = this.detectedSize()
+		if (output < 1 || output > size.outputs || input < 0 || input > size.inputs) {
+			return pkt(`${this.srcAddr()}${this.dstAddr()}NAK`)
+		}
+		this.log('debug', `Rehearsal: ${cmd}`)
+		const prev = this.currentSources[output - 1]
+		this.rehearsalRoutes.set(output, input)
+		this.currentSources[output - 1] = input
+		if (prev !== input) {
+			this.setVariableValues({
+				...this.outputSourceValues(output),
+				...this.usageVariableValues([prev, input].filter((i) => i > 0)),
+				...this.rehearsalVariableValues(),
+			})
+			this.refreshRoutingFeedbacks([output])
+		}
+		return pkt(`${this.srcAddr()}${this.dstAddr()}${cmd}`)
+	}
+	/** The live routing with the rehearsed routes laid over it. */
+	withRehearsal(live) {
+		const sources = live.slice()
+		for (const [o, i] of this.rehearsalRoutes) if (o <= sources.length) sources[o - 1] = i
+		return sources
+	}
+	/** Rehearsed routes that differ from the live matrix, by output. */
+	rehearsalDiff() {
+		return [...this.rehearsalRoutes]
+			.map(([output, input]) => ({ output, input, live: this.liveSources[output - 1] }))
+			.filter((r) => r.input !== r.live)
+			.sort((a, b) => a.output - b.output)
+	}
+	formatRehearsalDiff(diff) {
+		return diff.map(({ output, input, live }) => `${pad3(output)}: ${pad3(live ?? 0)}>${pad3(input)}`).join(', ')
+	}
+	rehearsalVariableValues() {
+		const diff = this.rehearsal ? this.rehearsalDiff() : []
+		return {
+			rehearsal_active: this.rehearsal ? 'true' : 'false',
+			rehearsal_diff_count: String(diff.length),
+			rehearsal_diff: this.formatRehearsalDiff(diff),
+		}
+	}
+
+	// ---------- preview / take ----------
+	setTakeMode(on) {
+		this.takeMode = !!on
+		if (!this.takeMode) this.setPendingTake(null)
+		this.log('info', `Preview/take mode ${this.takeMode ? 'on' : 'off'}`)
+		this.setVariableValues({ take_mode: this.takeMode ? 'true' : 'false' })
+		this.checkFeedbacks('takeModeActive')
+	}
+	/**
+	 * Hold a route until Take. `pending` is { output, input, pair }, with an
+	 * `outputs` list for a multi-select route or `group` and `routes` for a
+	 * source group, or null to clear.
+	 */
+	setPendingTake(pending) {
+		if (!pending && !this.pendingTake) return
+		this.pendingTake = pending
+		this.setVariableValues(this.takeVariableValues())
+		this.checkFeedbacks('srcPending', 'srcSlotPending', 'groupPending', 'takePending')
+	}
+	takeVariableValues() {
+		const p = this.pendingTake
+		return {
+			take_mode: this.takeMode ? 'true' : 'false',
+			pending_source: p
+				? p.group
+					? p.routes.map((r) => r.input).join(',')
+					: p.pair
+						? `${pad3(p.input)}+${pad3(p.input + 1)}`
+						: String(p.input)
+				: '',
+			pending_source_name: p ? (p.group ?? this.sourceName(p.input)) : '',
+			pending_destination: p
+				? p.outputs
+					? formatPortList(p.outputs)
+					: p.routes
+						? p.routes.map((r) => r.output).join(',')
+						: p.pair
+							? `${pad3(p.output)}+${pad3(p.output + 1)}`
+							: String(p.output)
+				: '',
+			pending_destination_name: p ? this.outputAliases[p.output - 1] || `O${pad3(p.output)}` : '',
+		}
+	}
+	async executeTake() {
+		const p = this.pendingTake
+		if (!p) return this.log('error', 'Nothing to take')
+		const routes = p.outputs
+			? p.outputs.map((output) => ({ output, input: p.input }))
+			: (p.routes ?? [{ output: p.output, input: p.input }])
+		if (p.pair) routes.push({ output: p.output + 1, input: p.input + 1 })
+		// locks may have changed since the preselect
+		if (!this.routesAllowed(routes, 'Take')) return
+		this.setPendingTake(null)
+		if (p.outputs || p.routes) return this.applyRoutes(routes, 'Take')
+		await this.sendRoute(p.output, p.input)
+		if (p.pair) await this.sendRoute(p.output + 1, p.input + 1)
+	}
+
+	// ---------- XY selection ----------
+	selectDestination(o) {
+		if (this.multiSelect) return this.toggleMultiOutput(o)
+		this.selectedOutput = o
+		// a preselect belongs to the destination it was made on
+		if (this.pendingTake && this.pendingTake.output !== o) this.setPendingTake(null)
+		this.setVariableValues({
+			selected_output: String(o),
+			selected_output_name: this.outputAliases[o - 1] || `Out ${pad3(o)}`,
+		})
+		this.checkSelectionFeedbacks()
+	}
+	async routeToSelected(i) {
+		if (this.multiSelect) return this.routeToMarked(i)
+		if (!this.selectedOutput) return this.log('error', 'Select a destination first')
+		const maxIn = this.inputAliases?.length || this.effectiveInputs()
+		// 0 parks the destination on the off crosspoint
+		if (i < 0 || i > Math.max(999, maxIn)) return this.log('error', `Input must be 1..${maxIn}`)
+		if (!this.routeAllowed([this.selectedOutput], 'Route to selected')) return
+		if (this.takeMode) return this.setPendingTake({ output: this.selectedOutput, input: i, pair: false })
+		if (!this.lastUsageConfirmed([{ output: this.selectedOutput, input: i }], 'Route to selected')) return
+		await this.sendRoute(this.selectedOutput, i)
+	}
+	/** Resolve an alias to a port number, logging a miss or an ambiguous name. */
+	portByName(kind, name, ignoreCase, what) {
+		const aliases = kind === 'input' ? this.inputAliases : this.outputAliases
+		const found = findAlias(aliases, name, ignoreCase)
+		if (found.error) this.log('error', `${what}: ${kind} ${found.error}`)
+		return found.port ?? null
+	}
+	isDestSelected(o) {
+		if (this.multiSelect) return this.multiOutputs.has(o)
+		return !!o && this.selectedOutput === o
+	}
+	/** The input feeds the selected destination, or every marked one in multi-select mode. */
+	isSourceOnSelected(i) {
+		if (this.multiSelect) {
+			const marked = [...this.multiOutputs]
+			return marked.length > 0 && marked.every((m) => this.currentSources[m - 1] === i)
+		}
+		const o = this.selectedOutput
+		if (!o) return false
+		return Number(this.currentSources[o - 1] ?? -2) === i
+	}
+	isSourcePending(i, pair) {
+		const p = this.pendingTake
+		return !!p && !p.group && p.input === i && p.pair === pair
+	}
+
+	// ---------- paged XY ----------
+	pageSize() {
+		const n = Number(this.config?.pageSize)
+		return Number.isInteger(n) && n >= 1 ? Math.min(n, 64) : 12
+	}
+	/** Ports the pages step through: every output, and the inputs passing the source filter. */
+	pagedPorts(kind) {
+		const size = this.detectedSize()
+		const all = Array.from({ length: kind === 'dest' ? size.outputs : size.inputs }, (_, i) => i + 1)
+		return kind === 'dest' ? all : all.filter((i) => this.sourcePassesFilter(i))
+	}
+	pageCount(kind) {
+		return Math.max(1, Math.ceil(this.pagedPorts(kind).length / this.pageSize()))
+	}
+	/** Port number shown by a slot on the current page, 0 for a slot past the last port. */
+	slotPort(kind, slot) {
+		const n = safeInt(slot, 0)
+		if (n < 1 || n > this.pageSize()) return 0
+		const page = kind === 'dest' ? this.destPage : this.srcPage
+		return this.pagedPorts(kind)[(page - 1) * this.pageSize() + n - 1] ?? 0
+	}
+	sourcePassesFilter(i) {
+		if (!this.sourceFilter) return true
+		const alias = this.inputAliases[i - 1] || `I${pad3(i)}`
+		return alias.toLowerCase().includes(this.sourceFilter.toLowerCase())
+	}
+	setSourceFilter(text) {
+		this.sourceFilter = text
+		this.srcPage = 1
+		this.setVariableValues({ ...this.pageVariableValues(), ...this.filterVariableValues() })
+		this.checkFeedbacks('srcFilteredOut', 'srcSlotMatchesSelected', 'srcSlotPending')
+	}
+	filterVariableValues() {
+		return {
+			source_filter: this.sourceFilter,
+			source_filter_count: String(this.pagedPorts('src').length),
+		}
+	}
+	setPage(kind, page) {
+		const pages = this.pageCount(kind)
+		// wrap around at either end
+		const next = ((((page - 1) % pages) + pages) % pages) + 1
+		if (kind === 'dest') this.destPage = next
+		else this.srcPage = next
+		this.setVariableValues(this.pageVariableValues())
+		if (kind === 'dest') this.checkFeedbacks('destSlotSelected', 'destSlotLocked')
+		else this.checkFeedbacks('srcSlotMatchesSelected', 'srcSlotPending')
+	}
+	pageVariableValues() {
+		const vals = {}
+		for (const kind of ['dest', 'src']) {
+			// the page may be past the end after the matrix shrank
+			const page = Math.min(kind === 'dest' ? this.destPage : this.srcPage, this.pageCount(kind))
+			if (kind === 'dest') this.destPage = page
+			else this.srcPage = page
+			vals[`${kind}_page`] = String(page)
+			vals[`${kind}_pages`] = String(this.pageCount(kind))
+			vals[`${kind}_page_offset`] = String((page - 1) * this.pageSize())
+			for (let slot = 1; slot <= this.pageSize(); slot++) {
+				const port = this.slotPort(kind, slot)
+				const id = `${kind}_slot_${String(slot).padStart(2, '0')}`
+				vals[id] = port ? pad3(port) : ''
+				if (!port) vals[`${id}_name`] = ''
+				else if (kind === 'dest') vals[`${id}_name`] = this.outputAliases[port - 1] || `O${pad3(port)}`
+				else vals[`${id}_name`] = this.inputAliases[port - 1] || `I${pad3(port)}`
+			}
+		}
+		return vals
+	}
+
+	// ---------- disconnect / park ----------
+	/** Input a disconnect routes to, 0 for the matrix's off crosspoint. */
+	parkInput() {
+		const n = Number(this.config?.parkInput)
+		return Number.isInteger(n) && n > 0 ? n : 0
+	}
+	isDisconnected(o) {
+		const src = this.currentSources[o - 1]
+		return src === 0 || (src != null && src === this.parkInput())
+	}
+	/** Park a list of outputs as one batch. Locked outputs are refused one by one, the rest still go. */
+	async disconnectOutputs(outputs, what) {
+		const size = this.detectedSize()
+		const park = this.parkInput()
+		if (park > size.inputs) return this.log('error', `${what}: park input ${park} is out of range 1..${size.inputs}`)
+		if (!outputs.length) return this.log('info', `${what}: nothing to disconnect`)
+		const sent = await this.applyRoutes(
+			outputs.map((output) => ({ output, input: park })),
+			what,
+		)
+		this.log(
+			'info',
+			`${what}: ${sent.length} of ${outputs.length} outputs ${park ? `parked on input ${pad3(park)}` : 'disconnected'}`,
+		)
+	}
+
+	// ---------- multi-select ----------
+	setMultiSelect(on) {
+		this.multiSelect = !!on
+		this.multiOutputs.clear()
+		// the modes do not mix, start from a clean selection
+		this.selectedOutput = null
+		this.setPendingTake(null)
+		this.log('info', `Multi-select destinations ${this.multiSelect ? 'on' : 'off'}`)
+		this.setVariableValues({ selected_output: '', selected_output_name: '', ...this.multiVariableValues() })
+		this.checkFeedbacks('multiSelectActive')
+		this.checkSelectionFeedbacks()
+	}
+	toggleMultiOutput(o) {
+		if (this.multiOutputs.has(o)) this.multiOutputs.delete(o)
+		else this.multiOutputs.add(o)
+		if (this.pendingTake) this.setPendingTake(null)
+		this.setVariableValues(this.multiVariableValues())
+		this.checkSelectionFeedbacks()
+	}
+	multiVariableValues() {
+		return {
+			multi_select: this.multiSelect ? 'true' : 'false',
+			multi_outputs: formatPortList([...this.multiOutputs].sort((a, b) => a - b)),
+			multi_count: String(this.multiOutputs.size),
+		}
+	}
+	/** The XY source press in multi-select mode, preselected in take mode. */
+	async routeToMarked(input) {
+		const outputs = [...this.multiOutputs].sort((a, b) => a - b)
+		if (!outputs.length) return this.log('error', 'Mark one or more destinations first')
+		if (this.takeMode) {
+			if (!this.routeAllowed(outputs, 'Route to marked')) return
+			return this.setPendingTake({ output: outputs[0], outputs, input, pair: false })
+		}
+		await this.routeMulti(input, outputs, 'Route to marked')
+	}
+	/** One input to a list of outputs. Refused as a whole on a bad port or a lock, then sent as one batch. */
+	async routeMulti(input, outputs, what) {
+		const size = this.detectedSize()
+		if (!Number.isInteger(input) || input < 0 || input > size.inputs) {
+			return this.log('error', `${what}: input must be 0..${size.inputs}`)
+		}
+		if (!outputs.length) return this.log('error', `${what}: no outputs given`)
+		const bad = outputs.filter((o) => o < 1 || o > size.outputs)
+		if (bad.length) return this.log('error', `${what}: output ${bad.join(', ')} out of range 1..${size.outputs}`)
+		const routes = outputs.map((output) => ({ output, input }))
+		if (!this.routesAllowed(routes, what)) return
+		const sent = await this.applyRoutes(routes, what)
+		this.log('info', `${what}: input ${pad3(input)} sent to ${sent.length} of ${outputs.length} outputs`)
+	}
+
+	// ---------- alarms ----------
+	isAlarm(flag) {
+		return !!flag && flag !== 'O'
+	}
+	activeAlarms() {
+		return ALARMS.filter((a) => this.isAlarm(this.alarmFlags[a.id])).map((a) => a.label)
+	}
+	/** Take the four flags from a status reply, publish them and log every change. */
+	updateAlarmFlags(flags) {
+		const vals = {}
+		const changed = []
+		ALARMS.forEach((a, idx) => {
+			const flag = flags[idx] || ''
+			vals[a.variableId] = flag
+			const prev = this.alarmFlags[a.id]
+			if (flag === prev) return
+			this.alarmFlags[a.id] = flag
+			changed.push(a.feedbackId)
+			if (this.isAlarm(flag)) {
+				this.alarmCount++
+				this.lastAlarmTime = new Date().toLocaleTimeString()
+				this.log('error', `${a.label} alarm raised (${flag})`)
+			} else if (this.isAlarm(prev)) {
+				this.log('warn', `${a.label} alarm cleared`)
+			}
+		})
+		this.setVariableValues({ ...vals, ...this.alarmVariableValues() })
+		if (changed.length) this.checkFeedbacks(...changed, 'anyAlarm')
+	}
+	alarmVariableValues() {
+		return {
+			alarms_active: String(this.activeAlarms().length),
+			alarm_count: String(this.alarmCount),
+			alarm_last_time: this.lastAlarmTime,
+		}
+	}
+
+	// ---------- route history ----------
+	historyLimit() {
+		const n = Number(this.config?.historySize)
+		return Number.isFinite(n) && n > 0 ? n : 50
+	}
+	recordChange(output, from, to, origin) {
+		this.routeHistory.push({ time: Date.now(), output, from, to, origin })
+		const over = this.routeHistory.length - this.historyLimit()
+		if (over > 0) this.routeHistory.splice(0, over)
+		// a fresh change invalidates anything that was undone
+		this.redoStack = []
+		this.historyChanged()
+	}
+	historyChanged() {
+		this.setVariableValues(this.historyVariableValues())
+	}
+	historyVariableValues() {
+		const last = this.routeHistory[this.routeHistory.length - 1]
+		return {
+			history_count: String(this.routeHistory.length),
+			redo_count: String(this.redoStack.length),
+			last_change_time: last ? new Date(last.time).toLocaleTimeString() : '',
+			last_change_output: last ? String(last.output) : '',
+			last_change_from: last ? String(last.from ?? '') : '',
+			last_change_to: last ? String(last.to) : '',
+			last_change_origin: last ? last.origin : '',
+			last_change_text: last
+				? `O${pad3(last.output)}: ${last.from == null ? '???' : pad3(last.from)} > ${pad3(last.to)}`
+				: '',
+		}
+	}
+	/** Put an output back to the input it had before `entry`, and move the entry to the redo stack. */
+	async undoEntry(entry) {
+		if (entry.from == null)
+			return this.log('error', `Cannot undo output ${pad3(entry.output)}: previous source unknown`)
+		if (!this.routeAllowed([entry.output], 'Undo')) return
+		if (!(await this.sendRoute(entry.output, entry.from, { record: false }))) return
+		this.routeHistory.splice(this.routeHistory.indexOf(entry), 1)
+		this.redoStack.push(entry)
+		this.log('info', `Undo: output ${pad3(entry.output)} back to input ${pad3(entry.from)}`)
+		this.historyChanged()
+	}
+
+	// ---------- input usage ----------
+	/** Outputs each input feeds, derived from currentSources. The off crosspoint is left out. */
+	inputUsage() {
+		const usage = new Map()
+		this.currentSources.forEach((input, idx) => {
+			if (!(input > 0)) return
+			if (!usage.has(input)) usage.set(input, [])
+			usage.get(input).push(idx + 1)
+		})
+		return usage
+	}
+	/** Usage variables for the given inputs, all of them by default. */
+	usageVariableValues(inputs = Array.from({ length: this.effectiveInputs() }, (_, i) => i + 1)) {
+		const usage = this.inputUsage()
+		const vals = {}
+		for (const i of inputs) {
+			const outputs = usage.get(i) ?? []
+			vals[`in_${pad3(i)}_usage_count`] = String(outputs.length)
+			vals[`in_${pad3(i)}_usage_outputs`] = outputs.join(',')
+			vals[`in_${pad3(i)}_usage_names`] = outputs.map((o) => this.outputAliases[o - 1] || `O${pad3(o)}`).join(', ')
+		}
+		return vals
+	}
+	/**
+	 * With _Confirm taking an input off its last output_ on, a press that would
+	 * leave an input feeding nothing is held. The same routes pressed again
+	 * within USAGE_CONFIRM_MS go through.
+	 */
+	lastUsageConfirmed(routes, what) {
+		if (!this.config?.confirmLastUsage) return true
+		const usage = this.inputUsage()
+		const leaving = new Map() // input -> outputs this press takes it off
+		for (const { output, input } of routes) {
+			const prev = this.currentSources[output - 1]
+			if (!(prev > 0) || prev === input) continue
+			if (!leaving.has(prev)) leaving.set(prev, [])
+			leaving.get(prev).push(output)
+		}
+		const staying = new Set(routes.map((r) => r.input))
+		const last = [...leaving].filter(([input, outs]) => !staying.has(input) && usage.get(input).length === outs.length)
+		if (!last.length) return true
+
+		const key = routes.map((r) => `${r.output}:${r.input}`).join(',')
+		if (this.usageConfirm?.key === key) {
+			this.setUsageConfirm(null)
+			return true
+		}
+		const text = last.map(([input, outs]) => `${this.sourceName(input)} on ${outs.map(pad3).join(', ')}`).join('; ')
+		this.log('warn', `${what}: last output of ${text}, press again to confirm`)
+		this.setUsageConfirm({ key, text })
+		return false
+	}
+	setUsageConfirm(pending) {
+		clearTimeout(this.usageConfirmTimer)
+		this.usageConfirmTimer = pending ? setTimeout(() => this.setUsageConfirm(null), USAGE_CONFIRM_MS) : null
+		this.usageConfirm = pending
+		this.setVariableValues({ usage_confirm: pending?.text ?? '' })
+		this.checkFeedbacks('usageConfirmPending')
+	}
+
+	// ---------- route checks ----------
+	// Shared by the route actions and the HTTP API, each returns the reason a request is refused or null
+	routeProblem(output, input) {
+		const size = this.detectedSize()
+		if (!Number.isInteger(input) || input < 1 || input > size.inputs) return `Input must be 1..${size.inputs}`
+		if (!Number.isInteger(output) || output < 1 || output > size.outputs) return `Output must be 1..${size.outputs}`
+		return null
+	}
+	pairProblem(output, input) {
+		const maxIn = this.inputAliases?.length || this.effectiveInputs()
+		const maxOut = this.outputAliases?.length || this.effectiveOutputs()
+		if (!Number.isFinite(input) || input < 1 || input > maxIn || input % 2 === 0) return `Input must be odd 1..${maxIn}`
+		if (!Number.isFinite(output) || output < 1 || output > maxOut || output % 2 === 0) {
+			return `Output must be odd 1..${maxOut}`
+		}
+		if (input + 1 > maxIn) return `Input pair overflows. Need ${input + 1}`
+		if (output + 1 > maxOut) return `Output pair overflows. Need ${output + 1}`
+		return null
+	}
+	disconnectProblem(output) {
+		const size = this.detectedSize()
+		if (!Number.isInteger(output) || output < 1 || output > size.outputs) return `Output must be 1..${size.outputs}`
+		if (this.parkInput() > size.inputs) return `Park input ${this.parkInput()} is out of range 1..${size.inputs}`
+		return null
+	}
+
+	// ---------- route protection ----------
+	/** Refuse a route touching a locked output. Logs the refusal and returns false. */
+	routeAllowed(outputs, what) {
+		const problem = this.lockProblem(outputs)
+		if (problem) this.log('warn', `${what} refused: ${problem}`)
+		return !problem
+	}
+	lockProblem(outputs) {
+		const locked = outputs.filter((o) => this.lockedOutputs.has(o))
+		return locked.length ? `output ${locked.map(pad3).join(', ')} is locked` : null
+	}
+	/** Lock check plus the last-output check, for routes sent straight from a button press. */
+	routesAllowed(routes, what) {
+		const outputs = routes.map((r) => r.output)
+		return this.routeAllowed(outputs, what) && this.lastUsageConfirmed(routes, what)
+	}
+	setOutputLock(o, lock) {
+		if (lock === this.lockedOutputs.has(o)) return
+		if (lock) this.lockedOutputs.add(o)
+		else this.lockedOutputs.delete(o)
+		this.log('info', `Output ${pad3(o)} ${lock ? 'locked' : 'unlocked'}`)
+		this.persistState()
+		this.setVariableValues({ [`out_${pad3(o)}_locked`]: lock ? 'true' : 'false' })
+		this.checkFeedbacks('destLocked', 'destSlotLocked')
+	}
+
+	// ---------- persisted state ----------
+	loadPersistedState(config) {
+		// keep what we have if a config save from the UI did not carry it
+		if (Array.isArray(config?.salvos)) this.salvos = config.salvos
+		if (Array.isArray(config?.groups)) this.groups = config.groups
+		if (Array.isArray(config?.lockedOutputs)) this.lockedOutputs = new Set(config.lockedOutputs.map(Number))
+		if (Array.isArray(config?.schedule)) this.schedule = config.schedule
+		if (Array.isArray(config?.rawVariables)) {
+			this.rawValues = new Map(config.rawVariables.map((name) => [name, this.rawValues.get(name) ?? '']))
+		}
+	}
+	persistState() {
+		this.config = {
+			...this.config,
+			salvos: this.salvos,
+			groups: this.groups,
+			lockedOutputs: [...this.lockedOutputs],
+			schedule: this.schedule,
+			rawVariables: [...this.rawValues.keys()],
+		}
+		this.saveConfig(this.config)
+	}
+
+	// ---------- presets ----------
+	buildAndSetPresets() {
+		const presets = []
+		const outs = this.effectiveOutputs()
+		const ins = this.effectiveInputs()
+
+		// Use this instance's label so Companion variable tokens resolve
+		const inst = this.label || this.instanceLabel || 'etl-matrix'
 
 		// Category: XY Destinations
 		for (let o = 1; o <= outs; o++) {
@@ -541,12 +3018,24 @@ class EtlRfMatrixInstance extends InstanceBase {
 				},
 				steps: [{ down: [{ actionId: 'select_destination', options: { output: String(o) } }] }],
 				feedbacks: [
+					// listed first so the selection highlight still wins on a locked or failed destination
+					{ feedbackId: 'destDisconnected', options: { output: o }, style: { color: 0x888888, bgcolor: 0x000000 } },
+					{ feedbackId: 'destLocked', options: { output: o }, style: { bgcolor: 0xcc0000, color: 0xffffff } },
+					{ feedbackId: 'routeFailed', options: { output: o }, style: { bgcolor: 0xff0000, color: 0xffffff } },
 					{ feedbackId: 'destSelected', options: { output: o }, style: { bgcolor: 0xffff00, color: 0x000000 } },
 				],
 			})
 		}
 
-		// Category: XY Sources (Loose) no 000
+		// Category: XY Sources (Loose), Park first, then one per input
+		presets.push({
+			type: 'button',
+			category: 'XY: Sources (Loose)',
+			name: 'Park',
+			style: { text: 'PARK\nOFF', size: '14', color: 0xffffff, bgcolor: 0x222222 },
+			steps: [{ down: [{ actionId: 'disconnect_selected', options: {} }] }],
+			feedbacks: [{ feedbackId: 'selectedDisconnected', options: {}, style: { bgcolor: 0x666666, color: 0xffffff } }],
+		})
 		for (let i = 1; i <= ins; i++) {
 			presets.push({
 				type: 'button',
@@ -561,13 +3050,20 @@ class EtlRfMatrixInstance extends InstanceBase {
 				},
 				steps: [{ down: [{ actionId: 'route_to_selected', options: { input: String(i) } }] }],
 				feedbacks: [
+					{ feedbackId: 'srcFilteredOut', options: { input: i }, style: { color: 0x555555, bgcolor: 0x000000 } },
 					{ feedbackId: 'srcMatchesSelected', options: { input: i }, style: { bgcolor: 0x00ff00, color: 0x000000 } },
+					{
+						feedbackId: 'srcPending',
+						options: { input: i, pair: false },
+						style: { bgcolor: 0xff8000, color: 0x000000 },
+					},
 				],
 			})
 		}
 
-		// Category: XY Sources (Paired) using odd inputs
-		for (let i = 1; i <= ins; i += 2) {
+		// Category: XY Sources (Paired) using odd inputs, replaced by the groups once any are stored
+		const sourceGroups = this.groups.filter((g) => g.kind === 'source')
+		for (let i = 1; !sourceGroups.length && i <= ins; i += 2) {
 			const hasNext = i + 1 <= ins
 			const pairText = hasNext
 				? `${pad3(i)}+${pad3(i + 1)}\n$(${inst}:input_${pad3(i)}_name) / $(${inst}:input_${pad3(i + 1)}_name)`
@@ -589,33 +3085,363 @@ class EtlRfMatrixInstance extends InstanceBase {
 						options: { input_odd: i },
 						style: { bgcolor: 0x00ff00, color: 0x000000 },
 					},
+					{
+						feedbackId: 'srcPending',
+						options: { input: i, pair: true },
+						style: { bgcolor: 0xff8000, color: 0x000000 },
+					},
+				],
+			})
+		}
+
+		// Category: XY Groups, one button per stored group
+		for (const g of this.groups.filter((x) => x.kind === 'destination')) {
+			presets.push({
+				type: 'button',
+				category: 'XY: Destination groups',
+				name: `Dest group ${g.name}`,
+				style: { text: `${g.name}\n${g.ports.map(pad3).join(' ')}`, size: '12', color: 0xffffff, bgcolor: 0x333333 },
+				steps: [{ down: [{ actionId: 'select_destination', options: { output: String(g.ports[0]) } }] }],
+				feedbacks: [
+					{
+						feedbackId: 'destSelected',
+						options: { output: g.ports[0] },
+						style: { bgcolor: 0xffff00, color: 0x000000 },
+					},
+				],
+			})
+		}
+		for (const g of sourceGroups) {
+			presets.push({
+				type: 'button',
+				category: 'XY: Source groups',
+				name: `Src group ${g.name}`,
+				style: { text: `${g.name}\n${g.ports.map(pad3).join(' ')}`, size: '12', color: 0xffffff, bgcolor: 0x111111 },
+				steps: [{ down: [{ actionId: 'route_group_to_selected', options: { source: g.name } }] }],
+				feedbacks: [
+					{
+						feedbackId: 'groupMatches',
+						options: { source: g.name, destination: '' },
+						style: { bgcolor: 0x00ff00, color: 0x000000 },
+					},
+					{
+						feedbackId: 'groupPending',
+						options: { source: g.name },
+						style: { bgcolor: 0xff8000, color: 0x000000 },
+					},
 				],
 			})
 		}
 
+		// Category: XY Take, used with preview/take mode
+		presets.push(
+			{
+				type: 'button',
+				category: 'XY: Take',
+				name: 'Take',
+				style: {
+					text: `TAKE\n$(${inst}:pending_source) > $(${inst}:pending_destination)`,
+					size: '14',
+					color: 0xffffff,
+					bgcolor: 0x330000,
+				},
+				steps: [{ down: [{ actionId: 'take', options: {} }] }],
+				feedbacks: [{ feedbackId: 'takePending', options: {}, style: { bgcolor: 0xff0000, color: 0xffffff } }],
+			},
+			{
+				type: 'button',
+				category: 'XY: Take',
+				name: 'Cancel',
+				style: { text: 'CANCEL', size: '14', color: 0xffffff, bgcolor: 0x333333 },
+				steps: [{ down: [{ actionId: 'cancel', options: {} }] }],
+				feedbacks: [{ feedbackId: 'takePending', options: {}, style: { bgcolor: 0xff8000, color: 0x000000 } }],
+			},
+			{
+				type: 'button',
+				category: 'XY: Take',
+				name: 'Take mode',
+				style: { text: `TAKE MODE\n$(${inst}:take_mode)`, size: '14', color: 0xffffff, bgcolor: 0x000000 },
+				steps: [{ down: [{ actionId: 'set_take_mode', options: { mode: 'toggle' } }] }],
+				feedbacks: [{ feedbackId: 'takeModeActive', options: {}, style: { bgcolor: 0x663300, color: 0xffffff } }],
+			},
+		)
+
+		// Category: Rehearsal
+		presets.push(
+			{
+				type: 'button',
+				category: 'Rehearsal',
+				name: 'Start rehearsal',
+				style: {
+					text: `REHEARSE\n$(${inst}:rehearsal_diff_count) diff`,
+					size: '14',
+					color: 0xffffff,
+					bgcolor: 0x000000,
+				},
+				steps: [{ down: [{ actionId: 'set_rehearsal', options: { mode: 'on' } }] }],
+				feedbacks: [{ feedbackId: 'rehearsalActive', options: {}, style: { bgcolor: 0x6600cc, color: 0xffffff } }],
+			},
+			{
+				type: 'button',
+				category: 'Rehearsal',
+				name: 'Apply rehearsal',
+				style: { text: 'APPLY\nREHEARSAL', size: '14', color: 0xffffff, bgcolor: 0x333333 },
+				steps: [{ down: [{ actionId: 'set_rehearsal', options: { mode: 'apply' } }] }],
+				feedbacks: [{ feedbackId: 'rehearsalActive', options: {}, style: { bgcolor: 0x006600, color: 0xffffff } }],
+			},
+			{
+				type: 'button',
+				category: 'Rehearsal',
+				name: 'Discard rehearsal',
+				style: { text: 'DISCARD\nREHEARSAL', size: '14', color: 0xffffff, bgcolor: 0x333333 },
+				steps: [{ down: [{ actionId: 'set_rehearsal', options: { mode: 'discard' } }] }],
+				feedbacks: [{ feedbackId: 'rehearsalActive', options: {}, style: { bgcolor: 0x990000, color: 0xffffff } }],
+			},
+		)
+
+		// Category: XY Paged, fixed slots driven by the page variables
+		for (const [kind, label] of [
+			['dest', 'Dest'],
+			['src', 'Src'],
+		]) {
+			for (let slot = 1; slot <= this.pageSize(); slot++) {
+				const id = `${kind}_slot_${String(slot).padStart(2, '0')}`
+				const isDest = kind === 'dest'
+				presets.push({
+					type: 'button',
+					category: 'XY: Paged',
+					name: `${label} slot ${slot}`,
+					style: {
+						text: `$(${inst}:${id})\n$(${inst}:${id}_name)`,
+						size: '14',
+						color: 0xffffff,
+						bgcolor: isDest ? 0x333333 : 0x000000,
+					},
+					steps: [
+						{
+							down: [
+								{
+									actionId: isDest ? 'select_destination_slot' : 'route_slot_to_selected',
+									options: { slot },
+								},
+							],
+						},
+					],
+					feedbacks: isDest
+						? [
+								{ feedbackId: 'destSlotLocked', options: { slot }, style: { bgcolor: 0xcc0000, color: 0xffffff } },
+								{ feedbackId: 'destSlotSelected', options: { slot }, style: { bgcolor: 0xffff00, color: 0x000000 } },
+							]
+						: [
+								{
+									feedbackId: 'srcSlotMatchesSelected',
+									options: { slot },
+									style: { bgcolor: 0x00ff00, color: 0x000000 },
+								},
+								{ feedbackId: 'srcSlotPending', options: { slot }, style: { bgcolor: 0xff8000, color: 0x000000 } },
+							],
+				})
+			}
+			for (const step of ['previous', 'next']) {
+				presets.push({
+					type: 'button',
+					category: 'XY: Paged',
+					name: `${label} ${step} page`,
+					style: {
+						text: `${label.toUpperCase()} ${step === 'next' ? '>' : '<'}\n$(${inst}:${kind}_page)/$(${inst}:${kind}_pages)`,
+						size: '14',
+						color: 0xffffff,
+						bgcolor: 0x000066,
+					},
+					steps: [{ down: [{ actionId: 'xy_page', options: { kind, step } }] }],
+					feedbacks: [],
+				})
+			}
+		}
+
+		// Category: XY multi-select
+		presets.push(
+			{
+				type: 'button',
+				category: 'XY: Multi-select',
+				name: 'Multi-select mode',
+				style: { text: `MULTI\n$(${inst}:multi_count) dest`, size: '14', color: 0xffffff, bgcolor: 0x000000 },
+				steps: [{ down: [{ actionId: 'set_multi_select', options: { mode: 'toggle' } }] }],
+				feedbacks: [{ feedbackId: 'multiSelectActive', options: {}, style: { bgcolor: 0x0066cc, color: 0xffffff } }],
+			},
+			{
+				type: 'button',
+				category: 'XY: Multi-select',
+				name: 'Clear marked destinations',
+				style: { text: 'CLEAR\nMARKS', size: '14', color: 0xffffff, bgcolor: 0x333333 },
+				steps: [{ down: [{ actionId: 'clear_selection', options: {} }] }],
+				feedbacks: [],
+			},
+		)
+
+		// Category: Alarms
+		for (const a of [...ALARMS, { feedbackId: 'anyAlarm', label: 'Any alarm' }]) {
+			presets.push({
+				type: 'button',
+				category: 'Alarms',
+				name: a.label,
+				style: {
+					text: a.variableId ? `${a.label}\n$(${inst}:${a.variableId})` : `${a.label}\n$(${inst}:alarms_active)`,
+					size: '14',
+					color: 0xffffff,
+					bgcolor: 0x003300,
+				},
+				steps: [{ down: [{ actionId: 'read_quick_status', options: {} }] }],
+				feedbacks: [{ feedbackId: a.feedbackId, options: {}, style: { bgcolor: 0xcc0000, color: 0xffffff } }],
+			})
+		}
+
+		// Category: Control path
+		for (const path of ['primary', 'backup']) {
+			presets.push({
+				type: 'button',
+				category: 'Control path',
+				name: `Force ${path} path`,
+				style: {
+					text: `${path.toUpperCase()}\n$(${inst}:active_path)`,
+					size: '14',
+					color: 0xffffff,
+					bgcolor: 0x000000,
+				},
+				steps: [{ down: [{ actionId: 'set_control_path', options: { path } }] }],
+				feedbacks: [{ feedbackId: 'activePath', options: { path }, style: { bgcolor: 0x00cc00, color: 0x000000 } }],
+			})
+		}
+
 		this.setPresetDefinitions(presets)
 	}
 
-	// ---------- alias polling ----------
-	startAliasPolling() {
-		this.stopAliasPolling()
-		const interval = Math.max(500, Number(this.config.aliasPollMs || 5000))
-		this.aliasTimer = setInterval(() => {
-			this.pollAliasesOnce().catch((e) => this.log('debug', `Alias poll error: ${e?.message || e}`))
-		}, interval)
+	// ---------- alias write ----------
+	aliasMaxLength() {
+		const n = Number(this.config?.aliasMaxLength)
+		return Number.isFinite(n) && n > 0 ? n : 16
+	}
+	/**
+	 * Write one alias with `T,<I|O>,nnn,<alias>`, then read the T? dump back
+	 * to confirm the matrix stored it.
+	 */
+	async writeAlias(kind, n, alias) {
+		const isInput = kind === 'input'
+		const max = isInput
+			? this.inputAliases?.length || this.effectiveInputs()
+			: this.outputAliases?.length || this.effectiveOutputs()
+		const label = `${isInput ? 'Input' : 'Output'} ${pad3(n)}`
+		if (!Number.isInteger(n) || n < 1 || n > max)
+			return this.log('error', `${isInput ? 'Input' : 'Output'} must be 1..${max}`)
+		const problem = aliasProblem(alias, this.aliasMaxLength())
+		if (problem) return this.log('error', `${label} alias "${alias}" refused: ${problem}`)
+
+		const reply = await this.sendBody(`${this.dstAddr()}${this.srcAddr()}T,${isInput ? 'I' : 'O'},${pad3(n)},${alias}`)
+		if (reply == null) return
+
+		await this.pollAliasesOnce()
+		const readBack = (isInput ? this.inputAliases : this.outputAliases)[n - 1]
+		if (readBack !== alias) {
+			const m = `${label} alias mismatch: wrote "${alias}", matrix reports "${readBack ?? ''}"`
+			this.setVariableValues({ last_error: m })
+			this.log('error', m)
+			return this._markWarn(m)
+		}
+		this.log('info', `${label} alias set to "${alias}"`)
+	}
+
+	// ---------- adaptive polling ----------
+	pollMinMs() {
+		return Math.max(100, Number(this.config.statusPollMs || 750))
+	}
+	pollMaxMs() {
+		return Math.max(this.pollMinMs(), Number(this.config.pollMaxMs || 30000))
+	}
+	fullStatusMs() {
+		return Math.max(this.pollMinMs(), Number(this.config.fullStatusMs || 3000))
+	}
+	aliasRefreshMs() {
+		return Math.max(500, Number(this.config.aliasPollMs || 5000))
+	}
+	startPolling() {
+		this.stopPolling()
+		this.pollingActive = true
+		this.pollDelay = this.pollMinMs()
+		this.schedulePoll(this.pollDelay)
 	}
-	stopAliasPolling() {
-		if (this.aliasTimer) {
-			clearInterval(this.aliasTimer)
-			this.aliasTimer = null
+	stopPolling() {
+		this.pollingActive = false
+		if (this.pollTimer) {
+			clearTimeout(this.pollTimer)
+			this.pollTimer = null
 		}
 	}
+	schedulePoll(delay) {
+		if (!this.pollingActive) return
+		if (this.pollTimer) clearTimeout(this.pollTimer)
+		this.pollTimer = setTimeout(() => this.pollTick(), delay)
+	}
+	/** Ask for a full status read soon, e.g. right after a route. */
+	kickPoll() {
+		this.fullStatusDirty = true
+		if (!this.pollBusy) this.schedulePoll(50)
+	}
+	async pollTick() {
+		// may also run on demand, so drop whatever was scheduled
+		if (this.pollTimer) clearTimeout(this.pollTimer)
+		this.pollTimer = null
+		this.pollBusy = true
+		let ok = false
+		try {
+			ok = await this.pollCycle()
+		} catch (e) {
+			this.log('debug', `Poll error: ${e?.message || e}`)
+		} finally {
+			this.pollBusy = false
+		}
+		if (ok === false) {
+			// back off and count a missed poll only while the matrix does not answer
+			this.pollDelay = Math.min(this.pollMaxMs(), this.pollDelay * 2)
+			this.log('debug', `Matrix not responding, next poll in ${this.pollDelay} ms`)
+			this.failedPolls++
+			this.checkFailover()
+		} else {
+			// a reply that could not be used still shows the path is up
+			this.pollDelay = this.pollMinMs()
+			this.failedPolls = 0
+			if (ok) await this.checkFailBack()
+		}
+		this.schedulePoll(this.pollDelay)
+	}
+	/**
+	 * One poll round: the cheap Q first, then the full status only when the
+	 * flags changed, a route was made or a refresh is due, and the T? dump
+	 * only when the size changed or its refresh is due.
+	 * Like each poll, returns true when all went well, false when the matrix
+	 * did not answer and null when it answered with something unusable.
+	 */
+	async pollCycle() {
+		const before = JSON.stringify(this.alarmFlags)
+		let result = await this.pollQuickStatusOnce()
+		if (result !== true) return result
+		const now = Date.now()
+		const flagsChanged = JSON.stringify(this.alarmFlags) !== before
+		if (flagsChanged || this.fullStatusDirty || now - this.lastFullStatus >= this.fullStatusMs()) {
+			result = await this.pollStatusOnce()
+			if (result !== true) return result
+		}
+		if (this.aliasesDirty || now - this.lastAliasPoll >= this.aliasRefreshMs()) {
+			result = await this.pollAliasesOnce()
+			if (result !== true) return result
+		}
+		return true
+	}
+
+	// ---------- alias polling ----------
 	parseAliasDump(reply) {
 		// Example: {BAT?,C1-1,...,C4-4,ANT1,...,AN16}g
-		const start = reply.indexOf('{')
-		const end = reply.lastIndexOf('}')
-		if (start < 0 || end < 0 || end <= start) return null
-		const inner = reply.slice(start + 1, end)
+		const inner = frameInner(reply)
+		if (inner == null) return null
 		const parts = inner.split(',')
 		if (parts.length < 2) return null
 		const header = parts[0]
@@ -630,13 +3456,7 @@ class EtlRfMatrixInstance extends InstanceBase {
 	async pollAliasesOnce() {
 		try {
 			const body = `${this.dstAddr()}${this.srcAddr()}T?`
-			const msg = pkt(body) + '\r\n'
-			const reply = await tcpRequest({
-				host: this.host(),
-				port: this.port(),
-				message: msg,
-				logger: (s) => this.log('debug', s),
-			})
+			const reply = await this.request(body, { match: isAliasReply })
 			if (!reply) return this._markWarn('Alias poll: empty reply')
 
 			this.setVariableValues({ last_alias_dump: reply, last_error: '' })
@@ -646,6 +3466,8 @@ class EtlRfMatrixInstance extends InstanceBase {
 			if (!parsed) return this._markWarn('Alias poll: parse failed')
 
 			const { outAliases, inAliases } = parsed
+			const textChanged =
+				outAliases.join(',') !== this.outputAliases.join(',') || inAliases.join(',') !== this.inputAliases.join(',')
 			this.outputAliases = outAliases
 			this.inputAliases = inAliases
 
@@ -660,38 +3482,33 @@ class EtlRfMatrixInstance extends InstanceBase {
 			const vals = {}
 			outAliases.forEach((name, idx) => (vals[`output_${pad3(idx + 1)}_name`] = name))
 			inAliases.forEach((name, idx) => (vals[`input_${pad3(idx + 1)}_name`] = name))
+			// routed source names follow the input aliases
+			this.currentSources.forEach((_, idx) => Object.assign(vals, this.outputSourceValues(idx + 1)))
+			Object.assign(vals, this.usageVariableValues())
+			Object.assign(vals, this.pageVariableValues())
+			Object.assign(vals, this.filterVariableValues())
 			this.setVariableValues(vals)
 
-			// refresh dropdowns and feedback lighting
-			this.initActions()
-			this.checkFeedbacks('srcMatchesSelected', 'pairMatchesSelected')
+			// dropdown labels carry the aliases, rebuild only when they moved
+			if (changed || textChanged) {
+				this.initActions()
+				this.checkFeedbacks('destSourceName', 'srcFilteredOut')
+			}
 
+			this.lastAliasPoll = Date.now()
+			this.aliasesDirty = false
 			this._markOk('Alias poll ok')
+			return true
 		} catch (e) {
-			this._markFail(e)
+			return this._markFail(e)
 		}
 	}
 
 	// ---------- status polling ----------
-	startStatusPolling() {
-		this.stopStatusPolling()
-		const interval = Math.max(200, Number(this.config.statusPollMs || 750))
-		this.statusTimer = setInterval(() => {
-			this.pollStatusOnce().catch((e) => this.log('debug', `Status poll error: ${e?.message || e}`))
-		}, interval)
-	}
-	stopStatusPolling() {
-		if (this.statusTimer) {
-			clearInterval(this.statusTimer)
-			this.statusTimer = null
-		}
-	}
 	parseFullStatus(reply) {
 		// Example: {BASTATUS,001,002,003,...,016,O,F,O,F}<csum>
-		const start = reply.indexOf('{')
-		const end = reply.lastIndexOf('}')
-		if (start < 0 || end < 0 || end <= start) return null
-		const inner = reply.slice(start + 1, end)
+		const inner = frameInner(reply)
+		if (inner == null) return null
 		const parts = inner.split(',')
 		if (parts.length < 2) return null
 		const header = parts[0]
@@ -708,13 +3525,7 @@ class EtlRfMatrixInstance extends InstanceBase {
 	async pollStatusOnce() {
 		try {
 			const body = `${this.dstAddr()}${this.srcAddr()}?`
-			const msg = pkt(body) + '\r\n'
-			const reply = await tcpRequest({
-				host: this.host(),
-				port: this.port(),
-				message: msg,
-				logger: (s) => this.log('debug', s),
-			})
+			const reply = await this.request(body, { match: isFullStatusReply })
 			if (!reply) return this._markWarn('Status poll: empty reply')
 
 			this.setVariableValues({ last_status_raw: reply, last_error: '' })
@@ -723,96 +3534,394 @@ class EtlRfMatrixInstance extends InstanceBase {
 			const parsed = this.parseFullStatus(reply)
 			if (!parsed) return this._markWarn('Status poll: parse failed')
 
-			const { sources, flags } = parsed
+			const { flags } = parsed
+			// while rehearsing the matrix is only the base under the rehearsed routes
+			if (this.rehearsal) this.liveSources = parsed.sources.slice()
+			const sources = this.rehearsal ? this.withRehearsal(parsed.sources) : parsed.sources
+
+			// changes made by other controllers go into the route history
+			const sameSize = this.currentSources.length === sources.length
+			const changedOutputs = []
+			if (sameSize) {
+				sources.forEach((src, idx) => {
+					const prev = this.currentSources[idx]
+					if (prev === src) return
+					changedOutputs.push(idx + 1)
+					if (!this.pendingRoutes.has(idx + 1)) this.recordChange(idx + 1, prev, src, 'remote')
+				})
+			}
 
 			// track internally for feedbacks
 			this.currentSources = sources.slice()
 
 			if (!this.outputsCount || this.outputsCount !== sources.length) {
 				this.outputsCount = sources.length
+				// size changed, aliases need a fresh dump
+				this.aliasesDirty = true
 				this.rebuildVariableDefinitions()
 				this.buildAndSetPresets()
 			}
 
 			const vals = {}
-			sources.forEach((srcNum, idx) => {
-				vals[`out_${pad3(idx + 1)}_src`] = String(srcNum)
-			})
-			const [psu1, psu2, link, summary] = flags
-			vals['psu1_ok'] = psu1 || ''
-			vals['psu2_ok'] = psu2 || ''
-			vals['link_ok'] = link || ''
-			vals['summary_alarm_ok'] = summary || ''
+			sources.forEach((_, idx) => Object.assign(vals, this.outputSourceValues(idx + 1)))
+			Object.assign(vals, this.usageVariableValues())
+			if (this.rehearsal) Object.assign(vals, this.rehearsalVariableValues())
 			this.setVariableValues(vals)
+			this.updateAlarmFlags(flags)
 
-			// refresh lighting for XY
-			this.checkFeedbacks()
+			// refresh lighting for XY, only where the routing moved
+			if (sameSize) this.refreshRoutingFeedbacks(changedOutputs)
+			else this.checkFeedbacks()
 
+			this.lastFullStatus = Date.now()
+			this.fullStatusDirty = false
 			this._markOk('Full status poll ok')
+			return true
 		} catch (e) {
-			this._markFail(e)
+			return this._markFail(e)
 		}
 	}
 	async pollQuickStatusOnce() {
 		try {
 			const body = `${this.dstAddr()}${this.srcAddr()}Q`
-			const msg = pkt(body) + '\r\n'
-			const reply = await tcpRequest({
-				host: this.host(),
-				port: this.port(),
-				message: msg,
-				logger: (s) => this.log('debug', s),
-			})
+			const reply = await this.request(body, { match: isQuickReply })
 			if (!reply) return this._markWarn('Quick status: empty reply')
 			// Example quick: {BAQOFOF}<csum>
-			const start = reply.indexOf('{')
-			const end = reply.lastIndexOf('}')
-			if (start >= 0 && end > start) {
-				const inner = reply.slice(start + 1, end)
-				if (inner.length >= 6 && inner[2] === 'Q') {
-					const flags = inner.slice(3)
-					this.setVariableValues({
-						psu1_ok: flags[0] || '',
-						psu2_ok: flags[1] || '',
-						link_ok: flags[2] || '',
-						summary_alarm_ok: flags[3] || '',
-					})
-					this._markOk('Quick status poll ok')
-					return
-				}
+			const inner = frameInner(reply)
+			if (inner != null && inner.length >= 6 && inner[2] === 'Q') {
+				this.updateAlarmFlags([...inner.slice(3, 7)])
+				this._markOk('Quick status poll ok')
+				return true
 			}
-			this._markWarn('Quick status: parse failed')
+			return this._markWarn('Quick status: parse failed')
 		} catch (e) {
-			this._markFail(e)
+			return this._markFail(e)
 		}
 	}
 
-	// ---------- core send ----------
-	async sendBody(body) {
+	// ---------- control path failover ----------
+	backupConfigured() {
+		return !!this.pathAddress('backup').host
+	}
+	failoverPolls() {
+		const n = Number(this.config?.failoverPolls)
+		return Number.isFinite(n) && n >= 1 ? n : 3
+	}
+	failBackMs() {
+		return Math.max(1000, Number(this.config?.failBackMs) || 10000)
+	}
+	/** Move to the other path once the active one missed enough polls in a row. */
+	checkFailover() {
+		if (!this.backupConfigured() || this.failedPolls < this.failoverPolls()) return
+		const other = this.activePath === 'primary' ? 'backup' : 'primary'
+		this.switchPath(other, `${this.activePath} path missed ${this.failedPolls} polls`)
+	}
+	/** While on the backup, probe the primary now and then and go back once it answers. */
+	async checkFailBack() {
+		if (this.activePath !== 'backup' || !this.config?.failBack) return
+		if (Date.now() - this.lastFailBackProbe < this.failBackMs()) return
+		this.lastFailBackProbe = Date.now()
+		if (await this.probePath('primary')) this.switchPath('primary', 'primary path answers again')
+	}
+	/** Open a separate short session to a path and see whether it answers a quick status. */
+	async probePath(path) {
+		const { host, port } = this.pathAddress(path)
+		const conn = new EtlConnection({
+			host,
+			port,
+			decoder: new EtlFrameDecoder({ replyPrefix: `${this.srcAddr()}${this.dstAddr()}` }),
+		})
+		let timer = null
 		try {
-			const msg = pkt(body) + '\r\n'
-			const reply = await tcpRequest({
-				host: this.host(),
-				port: this.port(),
-				message: msg,
-				logger: (s) => this.log('debug', s),
+			await new Promise((resolve, reject) => {
+				// a dead host may not refuse, it just never answers the SYN
+				timer = setTimeout(() => reject(new Error('Connect timeout')), 2000)
+				conn.once('connected', resolve)
+				conn.once('connect_failed', reject)
+				conn.once('disconnected', reject)
+				conn.connect()
 			})
+			const body = `${this.dstAddr()}${this.srcAddr()}Q`
+			await conn.request(pkt(body) + '\r\n', { match: isQuickReply })
+			return true
+		} catch (e) {
+			this.log('debug', `Probe of ${path} path ${host}:${port} failed: ${e?.message || e}`)
+			return false
+		} finally {
+			clearTimeout(timer)
+			conn.removeAllListeners()
+			conn.destroy()
+		}
+	}
+	/** Change the control path, reconnect and poll straight away. */
+	switchPath(path, reason) {
+		if (path === this.activePath) return
+		if (path === 'backup' && !this.backupConfigured()) return this.log('error', 'No backup host configured')
+		const { host, port } = this.pathAddress(path)
+		this.log('warn', `Control path switched from ${this.activePath} to ${path} (${host}:${port}): ${reason}`)
+		this.activePath = path
+		this.failedPolls = 0
+		this.lastFailBackProbe = Date.now()
+		this.setVariableValues(this.pathVariableValues())
+		this.checkFeedbacks('activePath')
+		this.initConnection()
+		this.pollDelay = this.pollMinMs()
+		if (this.pollingActive && !this.pollBusy) this.schedulePoll(0)
+	}
+	pathVariableValues() {
+		return { active_path: this.activePath, active_host: `${this.host()}:${this.port()}` }
+	}
+
+	// ---------- connection ----------
+	initConnection() {
+		this.destroyConnection()
+		const host = this.host()
+		const port = this.port()
+		const conn = new EtlConnection({
+			host,
+			port,
+			replyTimeoutMs: Math.max(200, Number(this.config.replyTimeoutMs || 1500)),
+			keepaliveMs: Math.max(500, Number(this.config.keepaliveMs || 2000)),
+			keepaliveMessage: { message: pkt(`${this.dstAddr()}${this.srcAddr()}Q`) + '\r\n', match: isQuickReply },
+			// replies come back with the addresses swapped
+			decoder: new EtlFrameDecoder({ replyPrefix: `${this.srcAddr()}${this.dstAddr()}` }),
+			logger: (s) => this.log('debug', s),
+		})
+		conn.on('bad_frame', (frame, err) => this.onBadFrame(frame, err))
+		conn.on('connected', () => {
+			this.log('info', `Connected to ${host}:${port}`)
+			// refresh everything, and drop straight back to the normal rate after a backoff
+			this.fullStatusDirty = true
+			this.aliasesDirty = true
+			if (this.pollDelay > this.pollMinMs()) {
+				this.pollDelay = this.pollMinMs()
+				if (!this.pollBusy) this.schedulePoll(0)
+			}
+		})
+		conn.on('disconnected', (err) => this._markFail(err))
+		conn.on('connect_failed', (err) => this._markFail(err))
+		this.conn = conn
+		conn.connect()
+	}
+	destroyConnection() {
+		if (this.conn) {
+			this.conn.removeAllListeners()
+			this.conn.destroy()
+			this.conn = null
+		}
+	}
+	onBadFrame(frame, err) {
+		if (err.kind === 'checksum') {
+			this.checksumErrors++
+			this.setVariableValues({ checksum_errors: String(this.checksumErrors) })
+		}
+		this.log('warn', `Rejected reply ${JSON.stringify(frame)}: ${err.message}`)
+		this._markWarn(`Reply rejected: ${err.message} (${this.checksumErrors} checksum errors)`)
+	}
+	/** Queue a body on the session and resolve with the reply frame it matched. */
+	request(body, opts) {
+		if (!this.conn) return Promise.reject(new Error('Not connected'))
+		return this.conn.request(pkt(body) + '\r\n', opts)
+	}
+
+	// ---------- core send ----------
+	async sendBody(body, { match = isCommandReply } = {}) {
+		// a rehearsed switch never reaches the matrix
+		const sw = this.rehearsal ? body.slice(2).match(/^s,(\d{3}),(\d{3})$/) : null
+		if (sw) return this.rehearseSwitch(Number(sw[1]), Number(sw[2]), body.slice(2))
+		try {
+			// the matrix may not acknowledge a switch, so a silent reply is not an error
+			const reply = await this.request(body, { match, optionalReply: true })
 			this.log('debug', `RX: ${reply}`)
 			this.setVariableValues({ last_reply: reply || '(no data)', last_error: '' })
-			this.updateStatus(InstanceStatus.Ok)
+			this._markOk('Send ok')
+			return reply
 		} catch (e) {
+			if (e instanceof FrameError) {
+				this._markFail(e)
+				return null
+			}
 			this.updateStatus(InstanceStatus.ConnectionFailure, e?.message || 'send failed')
 			this.setVariableValues({ last_error: e?.message || String(e) })
 			this.log('error', `Send failed: ${e?.message || e}`)
+			return null
+		}
+	}
+	/**
+	 * Switch one crosspoint. With `confirm` the switch reply is checked and the
+	 * output is read back, retrying up to the configured count; a crosspoint
+	 * that never takes is reported through routeFailed().
+	 * On success the local table is updated right away, so feedbacks follow
+	 * without waiting for the next poll, and the change is recorded in the
+	 * route history unless `record` is false.
+	 */
+	async sendRoute(output, input, { record = true, confirm = this.confirmRoutes() } = {}) {
+		const prev = this.currentSources[output - 1]
+		const body = `${this.dstAddr()}${this.srcAddr()}s,${pad3(output)},${pad3(input)}`
+		const attempts = confirm ? 1 + this.routeRetries() : 1
+		let actual = null
+		let taken = false
+		// a poll answered while the switch is in flight must not log it as a remote change
+		this.pendingRoutes.add(output)
+		try {
+			for (let attempt = 1; attempt <= attempts && !taken; attempt++) {
+				if (attempt > 1) this.log('warn', `Route ${pad3(input)} > ${pad3(output)} not taken, retry ${attempt - 1}`)
+				const reply = await this.sendBody(body)
+				if (reply == null) return false // link problem, already reported
+				const result = switchReplyResult(reply, output, input)
+				if (result === 'nak') {
+					this.log('warn', `Route ${pad3(input)} > ${pad3(output)} refused: ${reply}`)
+					continue
+				}
+				if (!confirm) {
+					taken = true
+					break
+				}
+				actual = await this.readOutputSource(output)
+				taken = actual === input
+			}
+		} finally {
+			this.pendingRoutes.delete(output)
+		}
+		if (!taken) {
+			this.routeFailed(output, input, actual)
+			return false
+		}
+
+		this.currentSources[output - 1] = input
+		this.setVariableValues({
+			...this.outputSourceValues(output),
+			...this.usageVariableValues([prev, input].filter((i) => i > 0)),
+		})
+		this.routeSucceeded(output)
+		if (record && prev !== input) this.recordChange(output, prev ?? null, input, 'local')
+		if (prev !== input) this.refreshRoutingFeedbacks([output])
+		this.kickPoll()
+		return true
+	}
+	/** Targeted read back of one output from the full status, null when it could not be read. */
+	async readOutputSource(output) {
+		if (this.rehearsal) return this.currentSources[output - 1] ?? null
+		try {
+			const reply = await this.request(`${this.dstAddr()}${this.srcAddr()}?`, { match: isFullStatusReply })
+			const parsed = this.parseFullStatus(reply)
+			return parsed ? (parsed.sources[output - 1] ?? null) : null
+		} catch (e) {
+			this.log('debug', `Route read back failed: ${e?.message || e}`)
+			return null
+		}
+	}
+
+	// ---------- route confirmation ----------
+	confirmRoutes() {
+		return this.config?.confirmRoutes !== false
+	}
+	routeRetries() {
+		const n = Number(this.config?.routeRetries)
+		return Number.isFinite(n) && n >= 0 ? n : 2
+	}
+	routeFailed(output, input, actual) {
+		this.routeFailures++
+		this.failedOutputs.add(output)
+		const seen = actual == null ? 'unknown' : pad3(actual)
+		const m = `Route ${pad3(input)} > ${pad3(output)} not taken, matrix reports input ${seen}`
+		this.setVariableValues({ last_error: m, route_failures: String(this.routeFailures) })
+		this.log('error', m)
+		this._markWarn(m)
+		this.checkFeedbacks('routeFailed')
+	}
+	routeSucceeded(output) {
+		if (this.failedOutputs.delete(output)) this.checkFeedbacks('routeFailed')
+	}
+	/** After a batch sent without per-route confirmation, compare the polled state with what was asked. */
+	confirmBatch(routes) {
+		for (const { output, input } of routes) {
+			const actual = this.currentSources[output - 1]
+			if (actual === input) this.routeSucceeded(output)
+			else this.routeFailed(output, input, actual ?? null)
+		}
+	}
+
+	// ---------- HTTP API ----------
+	/**
+	 * JSON endpoints under /instance/<label>/. GET size, aliases, routes, alarms
+	 * and state; POST route, route_pair and disconnect with a JSON body.
+	 */
+	async handleHttpRequest(request) {
+		if (!this.config?.httpApi) return jsonResponse(404, { error: 'HTTP API is disabled in the connection config' })
+		if (!tokenAccepted(request, this.config.httpToken)) return jsonResponse(401, { error: 'bad or missing token' })
+		const method = String(request.method).toUpperCase()
+		const name = String(request.path ?? '').replace(/^\/+|\/+$/g, '')
+		const get = {
+			size: () => this.detectedSize(),
+			aliases: () => ({ outputs: this.outputAliases, inputs: this.inputAliases }),
+			routes: () => ({ rehearsal: this.rehearsal, currentSources: this.currentSources }),
+			alarms: () => ({ ...this.alarmFlags, active: this.activeAlarms() }),
+		}
+		get.state = () => ({ size: get.size(), aliases: get.aliases(), ...get.routes(), alarms: get.alarms() })
+		const post = {
+			route: (body) => this.httpRoute(body, false),
+			route_pair: (body) => this.httpRoute(body, true),
+			disconnect: (body) => this.httpDisconnect(body),
+		}
+
+		if (method === 'GET' && Object.hasOwn(get, name)) return jsonResponse(200, get[name]())
+		if (method === 'POST' && Object.hasOwn(post, name)) {
+			let body
+			try {
+				body = parseJsonBody(request.body)
+			} catch (e) {
+				return jsonResponse(400, { error: e.message })
+			}
+			return post[name](body)
+		}
+		if (Object.hasOwn(get, name) || Object.hasOwn(post, name)) {
+			return jsonResponse(405, { error: `${method} not allowed on /${name}` })
+		}
+		return jsonResponse(404, { error: `unknown endpoint /${name}` })
+	}
+	/** POST route / route_pair: { "output": 3, "input": 5 }, odd ports for a pair. */
+	async httpRoute(body, pair) {
+		const what = pair ? 'HTTP route pair' : 'HTTP route'
+		const output = portField(body.output)
+		const input = portField(body.input)
+		const problem = pair ? this.pairProblem(output, input) : this.routeProblem(output, input)
+		if (problem) return jsonResponse(400, { error: problem })
+		const outputs = pair ? [output, output + 1] : [output]
+		const locked = this.lockProblem(outputs)
+		if (locked) return jsonResponse(409, { error: locked })
+		this.log('info', `${what}: ${pad3(input)} > ${pad3(output)}`)
+		let ok = await this.sendRoute(output, input)
+		if (ok && pair) ok = await this.sendRoute(output + 1, input + 1)
+		if (!ok) return jsonResponse(502, { error: 'the matrix did not take the route, see the log' })
+		return jsonResponse(200, { ok: true, output, input, pair, rehearsal: this.rehearsal })
+	}
+	/** POST disconnect: { "output": 3 }, parks it like the disconnect action. */
+	async httpDisconnect(body) {
+		const output = portField(body.output)
+		const problem = this.disconnectProblem(output)
+		if (problem) return jsonResponse(400, { error: problem })
+		const locked = this.lockProblem([output])
+		if (locked) return jsonResponse(409, { error: locked })
+		this.log('info', `HTTP disconnect: ${pad3(output)}`)
+		if (!(await this.sendRoute(output, this.parkInput()))) {
+			return jsonResponse(502, { error: 'the matrix did not take the route, see the log' })
 		}
+		return jsonResponse(200, { ok: true, output, input: this.parkInput(), rehearsal: this.rehearsal })
 	}
 
 	// ---------- config ----------
 	host() {
-		return this.config.host || '192.168.0.252'
+		return this.pathAddress(this.activePath).host
 	}
 	port() {
-		return Number(this.config.port) || 4000
+		return this.pathAddress(this.activePath).port
+	}
+	pathAddress(path) {
+		if (path === 'backup') {
+			return { host: String(this.config.backupHost || '').trim(), port: Number(this.config.backupPort) || 4000 }
+		}
+		return { host: this.config.host || '192.168.0.252', port: Number(this.config.port) || 4000 }
 	}
 	dstAddr() {
 		const s = (this.config.dstAddr || 'A').toString()
@@ -829,10 +3938,32 @@ class EtlRfMatrixInstance extends InstanceBase {
 				type: 'static-text',
 				id: 'info',
 				label: 'Info',
-				value: 'Host and port. Port default is 4000. DA and SA usually A and B.',
+				value:
+					'Host and port. Port default is 4000. DA and SA usually A and B. One TCP session is kept open and reconnects automatically.',
 			},
 			{ type: 'textinput', id: 'host', label: 'Host', width: 6, default: '192.168.0.252', regex: Regex.IP },
 			{ type: 'number', id: 'port', label: 'Port', width: 6, default: 4000, min: 1, max: 65535 },
+			{ type: 'textinput', id: 'backupHost', label: 'Backup host (optional)', width: 6, default: '' },
+			{ type: 'number', id: 'backupPort', label: 'Backup port', width: 6, default: 4000, min: 1, max: 65535 },
+			{
+				type: 'number',
+				id: 'failoverPolls',
+				label: 'Fail over after this many failed polls',
+				width: 6,
+				default: 3,
+				min: 1,
+				max: 100,
+			},
+			{ type: 'checkbox', id: 'failBack', label: 'Fail back when the primary answers again', width: 6, default: false },
+			{
+				type: 'number',
+				id: 'failBackMs',
+				label: 'Primary check interval ms while on backup',
+				width: 6,
+				default: 10000,
+				min: 1000,
+				max: 300000,
+			},
 			{ type: 'textinput', id: 'dstAddr', label: 'Destination address char', width: 3, default: 'A' },
 			{ type: 'textinput', id: 'srcAddr', label: 'Source address char', width: 3, default: 'B' },
 
@@ -843,7 +3974,7 @@ class EtlRfMatrixInstance extends InstanceBase {
 			{
 				type: 'number',
 				id: 'aliasPollMs',
-				label: 'Alias poll interval ms',
+				label: 'Alias refresh interval ms',
 				width: 6,
 				default: 5000,
 				min: 200,
@@ -852,18 +3983,167 @@ class EtlRfMatrixInstance extends InstanceBase {
 			{
 				type: 'number',
 				id: 'statusPollMs',
-				label: 'Status poll interval ms',
+				label: 'Poll interval ms (normal rate, quick status)',
 				width: 6,
 				default: 750,
 				min: 100,
 				max: 5000,
 			},
+			{
+				type: 'number',
+				id: 'pollMaxMs',
+				label: 'Max poll interval ms (backoff while unreachable)',
+				width: 6,
+				default: 30000,
+				min: 1000,
+				max: 300000,
+			},
+			{
+				type: 'number',
+				id: 'fullStatusMs',
+				label: 'Full status refresh interval ms',
+				width: 6,
+				default: 3000,
+				min: 200,
+				max: 60000,
+			},
+			{
+				type: 'checkbox',
+				id: 'confirmRoutes',
+				label: 'Confirm each route by reading it back',
+				width: 6,
+				default: true,
+			},
+			{
+				type: 'number',
+				id: 'routeRetries',
+				label: 'Route retries when not taken',
+				width: 6,
+				default: 2,
+				min: 0,
+				max: 10,
+			},
+			{
+				type: 'checkbox',
+				id: 'takeMode',
+				label: 'Preview/take mode (source buttons preselect, Take sends)',
+				width: 6,
+				default: false,
+			},
+			{
+				type: 'number',
+				id: 'aliasMaxLength',
+				label: 'Max alias length for alias writes',
+				width: 6,
+				default: 16,
+				min: 1,
+				max: 64,
+			},
+			{
+				type: 'number',
+				id: 'historySize',
+				label: 'Route history size (undo depth)',
+				width: 6,
+				default: 50,
+				min: 1,
+				max: 1000,
+			},
+			{
+				type: 'checkbox',
+				id: 'rehearsal',
+				label: 'Rehearsal mode (routes change a virtual table, not the matrix)',
+				width: 6,
+				default: false,
+			},
+			{
+				type: 'checkbox',
+				id: 'confirmLastUsage',
+				label: 'Confirm taking an input off its last output (second press)',
+				width: 6,
+				default: false,
+			},
+			{
+				type: 'number',
+				id: 'parkInput',
+				label: 'Park input for disconnects (0 uses the off crosspoint)',
+				width: 6,
+				default: 0,
+				min: 0,
+				max: 999,
+			},
+			{
+				type: 'number',
+				id: 'pageSize',
+				label: 'Paged XY slots per page (sources and destinations each)',
+				width: 6,
+				default: 12,
+				min: 1,
+				max: 64,
+			},
+			{
+				type: 'checkbox',
+				id: 'scheduleUtc',
+				label: 'Schedule times are UTC (untick for local time)',
+				width: 6,
+				default: true,
+			},
+			{
+				type: 'textinput',
+				id: 'snapshotDir',
+				label: 'Snapshot folder (blank for companion-etl-snapshots in the home folder)',
+				width: 12,
+				default: '',
+			},
+			{
+				type: 'number',
+				id: 'replyTimeoutMs',
+				label: 'Reply timeout ms (raise for slow matrices)',
+				width: 6,
+				default: 1500,
+				min: 200,
+				max: 10000,
+			},
+			{
+				type: 'number',
+				id: 'keepaliveMs',
+				label: 'Keepalive interval ms (idle link check)',
+				width: 6,
+				default: 2000,
+				min: 500,
+				max: 30000,
+			},
+			{
+				type: 'checkbox',
+				id: 'httpApi',
+				label: 'Enable HTTP API (/instance/<label>/...)',
+				width: 6,
+				default: false,
+			},
+			{
+				type: 'textinput',
+				id: 'httpToken',
+				label: 'HTTP API token (optional, blank accepts any client)',
+				width: 6,
+				default: '',
+			},
 		]
 	}
 
 	async configUpdated(config) {
+		// only a changed checkbox overrides a mode switched by action
+		const takeModeChanged = !!config.takeMode !== !!this.config?.takeMode
+		const rehearsalChanged = !!config.rehearsal !== !!this.config?.rehearsal
 		this.config = config
-		this.updateStatus(InstanceStatus.Unknown)
+		this.loadPersistedState(config)
+		if (takeModeChanged && !!config.takeMode !== this.takeMode) this.setTakeMode(config.takeMode)
+		if (rehearsalChanged && config.rehearsal && !this.rehearsal) this.startRehearsal()
+		else if (rehearsalChanged && !config.rehearsal && this.rehearsal) await this.endRehearsal(false)
+		if (this.activePath === 'backup' && !this.backupConfigured()) this.activePath = 'primary'
+		this.failedPolls = 0
+		this.updateStatus(InstanceStatus.Connecting)
+
+		// host, port or addresses may have changed
+		this.initConnection()
 
 		// Rebuild UI immediately to reflect new sizing
 		this.rebuildVariableDefinitions()
@@ -871,8 +4151,7 @@ class EtlRfMatrixInstance extends InstanceBase {
 		this.initFeedbacks()
 		this.buildAndSetPresets()
 
-		this.startAliasPolling()
-		this.startStatusPolling()
+		this.startPolling()
 
 		// immediate polls on settings save
 		try {
@@ -888,9 +4167,13 @@ class EtlRfMatrixInstance extends InstanceBase {
 	}
 
 	async destroy() {
-		this.stopAliasPolling()
-		this.stopStatusPolling()
+		clearTimeout(this.usageConfirmTimer)
+		this.stopScheduler()
+		this.stopPolling()
+		this.destroyConnection()
 	}
 }
 
+module.exports = { EtlRfMatrixInstance }
+
 runEntrypoint(EtlRfMatrixInstance)
@@ -0,0 +1,104 @@
+// src/protocol.js
+
+/** ETL checksum includes braces and everything except the checksum char */
+function etlChecksumForPacket(packetWithoutChecksum) {
+	const sum = [...packetWithoutChecksum].reduce((a, c) => a + (c.charCodeAt(0) - 32), 0)
+	return String.fromCharCode((sum % 95) + 32)
+}
+/** Build full packet and append checksum. CRLF gets added on send. */
+function pkt(body) {
+	const payload = `{${body}}`
+	const csum = etlChecksumForPacket(payload)
+	return payload + csum
+}
+
+/** A reply frame that failed validation. `kind` is 'checksum', 'address' or 'framing'. */
+class FrameError extends Error {
+	constructor(message, kind) {
+		super(message)
+		this.name = 'FrameError'
+		this.kind = kind
+	}
+}
+
+/**
+ * Validate one `{...}<csum>` frame.
+ * `replyPrefix` is the DA/SA pair a reply must carry, our SA then our DA.
+ * Returns null when the frame is good, otherwise a FrameError.
+ */
+function checkFrame(frame, replyPrefix = null) {
+	const payload = frame.slice(0, -1)
+	const got = frame.slice(-1)
+	const want = etlChecksumForPacket(payload)
+	if (got !== want) {
+		return new FrameError(`Bad checksum: got ${JSON.stringify(got)}, expected ${JSON.stringify(want)}`, 'checksum')
+	}
+	if (replyPrefix) {
+		const addr = payload.slice(1, 3)
+		if (addr !== replyPrefix) {
+			return new FrameError(
+				`Bad address: got ${JSON.stringify(addr)}, expected ${JSON.stringify(replyPrefix)}`,
+				'address',
+			)
+		}
+	}
+	return null
+}
+
+/**
+ * Streaming reply decoder. Feed it socket chunks, get back validated frames.
+ * Bytes outside braces (CRLF, line noise) are dropped. A frame cut short by
+ * the start of the next one is reported as a framing error.
+ */
+class EtlFrameDecoder {
+	constructor({ replyPrefix = null, maxFrameLength = 16384 } = {}) {
+		this.replyPrefix = replyPrefix
+		this.maxFrameLength = maxFrameLength
+		this.buffer = ''
+	}
+
+	reset() {
+		this.buffer = ''
+	}
+
+	/** Returns `{ frame, error }` items, `error` is null for a good frame. */
+	push(chunk) {
+		this.buffer += chunk
+		const out = []
+		for (;;) {
+			const start = this.buffer.indexOf('{')
+			if (start < 0) {
+				this.buffer = ''
+				break
+			}
+			const end = this.buffer.indexOf('}', start + 1)
+			const nextStart = this.buffer.indexOf('{', start + 1)
+			if (nextStart >= 0 && (end < 0 || nextStart < end)) {
+				const frame = this.buffer.slice(start, nextStart)
+				out.push({ frame, error: new FrameError('Truncated frame', 'framing') })
+				this.buffer = this.buffer.slice(nextStart)
+				continue
+			}
+			if (end < 0) {
+				if (this.buffer.length - start > this.maxFrameLength) {
+					out.push({ frame: this.buffer.slice(start), error: new FrameError('Frame too long', 'framing') })
+					this.buffer = ''
+				} else {
+					this.buffer = this.buffer.slice(start)
+				}
+				break
+			}
+			// need the closing brace plus one checksum char
+			if (end + 1 >= this.buffer.length) {
+				this.buffer = this.buffer.slice(start)
+				break
+			}
+			const frame = this.buffer.slice(start, end + 2)
+			this.buffer = this.buffer.slice(end + 2)
+			out.push({ frame, error: checkFrame(frame, this.replyPrefix) })
+		}
+		return out
+	}
+}
+
+module.exports = { etlChecksumForPacket, pkt, checkFrame, EtlFrameDecoder, FrameError }
@@ -0,0 +1,159 @@
+// src/schedule.js
+//
+// Time maths for scheduled routes. Entries are plain objects so they can be
+// saved with the connection config:
+//   { id, output, input, repeat: 'once' | 'recurring', days, start, revert,
+//     startAt, nextAt, nextKind: 'apply' | 'revert', revertTo }
+// `start` and `revert` keep the text the user typed. `startAt` is the fixed
+// start of a one-off entry, `nextAt` the next event the scheduler waits for.
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+/** "HH:MM" or "HH:MM:SS" to seconds since midnight, null when it is not a clock time. */
+function parseClock(text) {
+	const m = String(text ?? '')
+		.trim()
+		.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/)
+	if (!m) return null
+	const [h, mi, s] = [Number(m[1]), Number(m[2]), Number(m[3] ?? 0)]
+	if (h > 23 || mi > 59 || s > 59) return null
+	return h * 3600 + mi * 60 + s
+}
+
+/** "YYYY-MM-DD HH:MM[:SS]" (a "T" also works) to epoch ms, null when it is not a date and time. */
+function parseDateTime(text, utc) {
+	const m = String(text ?? '')
+		.trim()
+		.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}:\d{2}(?::\d{2})?)$/)
+	if (!m) return null
+	const secs = parseClock(m[4])
+	if (secs == null) return null
+	const parts = [Number(m[1]), Number(m[2]) - 1, Number(m[3]), Math.floor(secs / 3600), Math.floor(secs / 60) % 60]
+	const ms = utc ? Date.UTC(...parts, secs % 60) : new Date(...parts, secs % 60).getTime()
+	// reject dates like 2026-02-31 that Date would roll over
+	const back = new Date(ms)
+	const day = utc ? back.getUTCDate() : back.getDate()
+	return day === parts[2] ? ms : null
+}
+
+/** "mon,wed,fri" to weekday numbers (0 is Sunday). Blank means every day. Throws on an unknown day. */
+function parseDays(text) {
+	const items = String(text ?? '')
+		.toLowerCase()
+		.split(/[\s,;]+/)
+		.filter(Boolean)
+	if (!items.length) return [0, 1, 2, 3, 4, 5, 6]
+	return [
+		...new Set(
+			items.map((d) => {
+				const n = DAY_NAMES.indexOf(d.slice(0, 3))
+				if (n < 0) throw new Error(`unknown day "${d}"`)
+				return n
+			}),
+		),
+	].sort()
+}
+
+/** First time after `after` that the clock shows `secs` on one of `days`. */
+function clockAfter(secs, after, utc, days = [0, 1, 2, 3, 4, 5, 6]) {
+	const base = new Date(after)
+	for (let d = 0; d <= 7; d++) {
+		const parts = utc
+			? [base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate() + d]
+			: [base.getFullYear(), base.getMonth(), base.getDate() + d]
+		const hms = [Math.floor(secs / 3600), Math.floor(secs / 60) % 60, secs % 60]
+		const at = utc ? Date.UTC(...parts, ...hms) : new Date(...parts, ...hms).getTime()
+		const weekday = utc ? new Date(at).getUTCDay() : new Date(at).getDay()
+		if (at > after && days.includes(weekday)) return at
+	}
+	return null
+}
+
+/** Time of the revert that follows a start at `startMs`, null without a revert. */
+function revertAt(entry, startMs, utc) {
+	if (!entry.revert) return null
+	const fixed = parseDateTime(entry.revert, utc)
+	if (fixed != null) return fixed > startMs ? fixed : null
+	return clockAfter(parseClock(entry.revert), startMs, utc)
+}
+
+/** Next start strictly after `after`, null once a one-off entry has passed. */
+function nextStart(entry, after, utc) {
+	if (entry.repeat === 'once') return entry.startAt > after ? entry.startAt : null
+	return clockAfter(parseClock(entry.start), after, utc, entry.days)
+}
+
+/**
+ * Validate what the add action was given and build a new entry waiting for its
+ * first start. Throws with a readable message on bad input.
+ */
+function createEntry({ id, output, input, start, revert = '', repeat = 'once', days = '' }, now, utc) {
+	start = String(start ?? '').trim()
+	revert = String(revert ?? '').trim()
+	const entry = { id, output, input, repeat: repeat === 'once' ? 'once' : 'recurring', days: [], start, revert }
+	if (entry.repeat === 'once') {
+		// a bare clock time means its next occurrence
+		const clock = parseClock(start)
+		entry.startAt = clock != null ? clockAfter(clock, now, utc) : parseDateTime(start, utc)
+		if (entry.startAt == null) throw new Error(`bad start "${start}", expected YYYY-MM-DD HH:MM or HH:MM`)
+		if (entry.startAt <= now) throw new Error(`start ${start} is in the past`)
+	} else {
+		if (parseClock(start) == null) throw new Error(`bad start "${start}", recurring entries take HH:MM`)
+		entry.days = parseDays(days)
+	}
+	if (revert) {
+		if (parseClock(revert) == null && parseDateTime(revert, utc) == null) {
+			throw new Error(`bad revert "${revert}", expected HH:MM or YYYY-MM-DD HH:MM`)
+		}
+		if (entry.repeat !== 'once' && parseClock(revert) == null) {
+			throw new Error(`bad revert "${revert}", recurring entries take HH:MM`)
+		}
+	}
+	entry.nextAt = nextStart(entry, now, utc)
+	entry.nextKind = 'apply'
+	entry.revertTo = null
+	if (entry.repeat === 'once' && revert && revertAt(entry, entry.startAt, utc) == null) {
+		throw new Error(`revert ${revert} is not after the start`)
+	}
+	return entry
+}
+
+/** "2026-03-01 14:00:00" in UTC or local time. */
+function formatTime(ms, utc) {
+	const d = new Date(ms)
+	if (utc) return d.toISOString().slice(0, 19).replace('T', ' ')
+	const p = (n) => String(n).padStart(2, '0')
+	return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`
+}
+
+/** "1:05:09", with a day count in front past 24 hours. */
+function formatCountdown(ms) {
+	const total = Math.max(0, Math.ceil(ms / 1000))
+	const days = Math.floor(total / 86400)
+	const p = (n) => String(n).padStart(2, '0')
+	const hms = `${Math.floor(total / 3600) % 24}:${p(Math.floor(total / 60) % 60)}:${p(total % 60)}`
+	return days ? `${days}d ${hms}` : hms
+}
+
+/** One line summary of an entry for logs and the list variable. */
+function describeEntry(entry) {
+	const when =
+		entry.repeat === 'once'
+			? entry.start
+			: `${entry.start} ${entry.days.length === 7 ? 'daily' : entry.days.map((d) => DAY_NAMES[d]).join(',')}`
+	const revert = entry.revert ? `, revert ${entry.revert}` : ''
+	return `#${entry.id} ${String(entry.input).padStart(3, '0')} > ${String(entry.output).padStart(3, '0')} at ${when}${revert}`
+}
+
+module.exports = {
+	parseClock,
+	parseDateTime,
+	parseDays,
+	clockAfter,
+	revertAt,
+	nextStart,
+	createEntry,
+	formatTime,
+	formatCountdown,
+	describeEntry,
+}
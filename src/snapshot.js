@@ -0,0 +1,120 @@
+// src/snapshot.js
+//
+// Routing snapshots: the live crosspoints plus port aliases, written as JSON
+// for restoring or as CSV for routing sheets.
+
+const CSV_HEADER = ['output', 'output_alias', 'input', 'input_alias']
+
+/** Format from an explicit choice, else from the file extension. Defaults to JSON. */
+function snapshotFormat(file, format = 'auto') {
+	if (format === 'json' || format === 'csv') return format
+	return /\.csv$/i.test(file) ? 'csv' : 'json'
+}
+
+/**
+ * Plain object describing the routing, `routes[o - 1]` is `{ output, input }`
+ * with input 0 for the off crosspoint and null while unknown.
+ */
+function buildSnapshot({ outputs, inputs, currentSources, outputAliases, inputAliases, time = new Date() }) {
+	const routes = []
+	for (let o = 1; o <= outputs; o++) routes.push({ output: o, input: currentSources[o - 1] ?? null })
+	return {
+		type: 'etl-rfmatrix-snapshot',
+		version: 1,
+		time: time.toISOString(),
+		outputs,
+		inputs,
+		outputAliases: outputAliases.slice(0, outputs),
+		inputAliases: inputAliases.slice(0, inputs),
+		routes,
+	}
+}
+
+function csvField(value) {
+	const s = String(value ?? '')
+	return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+function csvLine(line) {
+	const fields = []
+	let field = ''
+	let quoted = false
+	for (let i = 0; i < line.length; i++) {
+		const c = line[i]
+		if (quoted) {
+			if (c === '"' && line[i + 1] === '"') {
+				field += '"'
+				i++
+			} else if (c === '"') quoted = false
+			else field += c
+		} else if (c === '"') quoted = true
+		else if (c === ',') {
+			fields.push(field)
+			field = ''
+		} else field += c
+	}
+	fields.push(field)
+	return fields
+}
+
+function formatSnapshot(snapshot, format) {
+	if (format !== 'csv') return JSON.stringify(snapshot, null, '\t') + '\n'
+	// the comment line keeps the matrix size, spreadsheets show it as a plain cell
+	const lines = [`# ETL RF matrix routing, ${snapshot.outputs} outputs x ${snapshot.inputs} inputs, ${snapshot.time}`]
+	lines.push(CSV_HEADER.join(','))
+	for (const { output, input } of snapshot.routes) {
+		const row = [output, snapshot.outputAliases[output - 1], input ?? '', snapshot.inputAliases[input - 1]]
+		lines.push(row.map(csvField).join(','))
+	}
+	return lines.join('\r\n') + '\r\n'
+}
+
+/**
+ * Read a snapshot back. Returns `{ outputs, inputs, routes }`, sizes are null
+ * when the file does not state them. Routes without a known input are left
+ * out, input 0 is the off crosspoint.
+ * Throws on a malformed file.
+ */
+function parseSnapshot(text, format) {
+	if (format !== 'csv') {
+		let data
+		try {
+			data = JSON.parse(text)
+		} catch (e) {
+			throw new Error(`not valid JSON: ${e.message}`)
+		}
+		if (!data || !Array.isArray(data.routes)) throw new Error('no routes list in file')
+		const routes = []
+		for (const r of data.routes) {
+			if (r?.input == null) continue
+			const output = Number(r.output)
+			const input = Number(r.input)
+			if (!Number.isInteger(output) || !Number.isInteger(input)) {
+				throw new Error(`bad route ${JSON.stringify(r)}`)
+			}
+			routes.push({ output, input })
+		}
+		return { outputs: Number(data.outputs) || null, inputs: Number(data.inputs) || null, routes }
+	}
+
+	let outputs = null
+	let inputs = null
+	const routes = []
+	for (const raw of String(text).split(/\r?\n/)) {
+		const line = raw.trim()
+		if (!line) continue
+		if (line.startsWith('#')) {
+			const m = line.match(/(\d+) outputs x (\d+) inputs/)
+			if (m) [outputs, inputs] = [Number(m[1]), Number(m[2])]
+			continue
+		}
+		const [out, , inp] = csvLine(line)
+		if (out.trim().toLowerCase() === CSV_HEADER[0]) continue
+		if (!/^\d+$/.test(out.trim()) || !/^\d*$/.test((inp ?? '').trim())) {
+			throw new Error(`bad row "${line}", expected output,output_alias,input,input_alias`)
+		}
+		if (inp?.trim()) routes.push({ output: Number(out), input: Number(inp) })
+	}
+	return { outputs, inputs, routes }
+}
+
+module.exports = { snapshotFormat, buildSnapshot, formatSnapshot, parseSnapshot }
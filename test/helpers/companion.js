@@ -0,0 +1,139 @@
+// test/helpers/companion.js
+//
+// Runs EtlRfMatrixInstance outside Companion. The real @companion-module/base
+// needs the Companion IPC channel, so this swaps in a recording stand-in and
+// loads src/main.js against it.
+const Module = require('module')
+const path = require('path')
+
+const InstanceStatus = {
+	Ok: 'ok',
+	Connecting: 'connecting',
+	Disconnected: 'disconnected',
+	ConnectionFailure: 'connection_failure',
+	BadConfig: 'bad_config',
+	UnknownError: 'unknown_error',
+	UnknownWarning: 'unknown_warning',
+	AuthenticationFailure: 'authentication_failure',
+}
+
+class InstanceBase {
+	constructor(id) {
+		this.id = id
+		this.label = id
+		this.variableDefinitions = []
+		this.variables = {}
+		this.actions = {}
+		this.feedbacks = {}
+		this.presets = []
+		this.statuses = []
+		this.logs = []
+		this.checkedFeedbacks = []
+		this.savedConfig = null
+	}
+	setVariableDefinitions(defs) {
+		this.variableDefinitions = defs
+	}
+	setVariableValues(values) {
+		Object.assign(this.variables, values)
+	}
+	getVariableValue(id) {
+		return this.variables[id]
+	}
+	setActionDefinitions(defs) {
+		this.actions = defs
+	}
+	setFeedbackDefinitions(defs) {
+		this.feedbacks = defs
+	}
+	setPresetDefinitions(defs) {
+		this.presets = defs
+	}
+	checkFeedbacks(...ids) {
+		this.checkedFeedbacks.push(ids)
+	}
+	checkFeedbacksById(...ids) {
+		this.checkedFeedbacks.push(ids)
+	}
+	updateStatus(status, message = null) {
+		this.statuses.push({ status, message })
+	}
+	log(level, message) {
+		this.logs.push({ level, message })
+	}
+	saveConfig(config) {
+		this.savedConfig = config
+	}
+	async parseVariablesInString(text) {
+		return String(text).replace(/\$\(([^:)]+):([^)]+)\)/g, (_, _label, id) => this.variables[id] ?? '')
+	}
+}
+
+const fakeBase = { InstanceBase, InstanceStatus, Regex: { IP: '', PORT: '' }, runEntrypoint: () => {} }
+
+function loadMain() {
+	const origLoad = Module._load
+	Module._load = function (request, ...args) {
+		if (request === '@companion-module/base') return fakeBase
+		return origLoad.call(this, request, ...args)
+	}
+	try {
+		const mainPath = path.join(__dirname, '../../src/main.js')
+		delete require.cache[mainPath]
+		return require(mainPath)
+	} finally {
+		Module._load = origLoad
+	}
+}
+
+const { EtlRfMatrixInstance } = loadMain()
+
+/** Config pointing at a simulator, with the poll timers slowed down so tests drive polling themselves. */
+function testConfig(port, extra = {}) {
+	return {
+		host: '127.0.0.1',
+		port,
+		dstAddr: 'A',
+		srcAddr: 'B',
+		aliasPollMs: 600000,
+		statusPollMs: 600000,
+		...extra,
+	}
+}
+
+async function createInstance(config) {
+	const instance = new EtlRfMatrixInstance('test')
+	await instance.init(config)
+	return instance
+}
+
+/** Run an action callback the way Companion would. */
+async function runAction(instance, actionId, options = {}) {
+	const def = instance.actions[actionId]
+	if (!def) throw new Error(`No action ${actionId}`)
+	await def.callback({ actionId, options })
+}
+
+/** Evaluate a feedback callback the way Companion would. */
+function feedbackValue(instance, feedbackId, options = {}, id = undefined) {
+	const def = instance.feedbacks[feedbackId]
+	if (!def) throw new Error(`No feedback ${feedbackId}`)
+	return def.callback({ id, feedbackId, options })
+}
+
+function lastStatus(instance) {
+	return instance.statuses[instance.statuses.length - 1]?.status
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+module.exports = {
+	InstanceStatus,
+	EtlRfMatrixInstance,
+	testConfig,
+	createInstance,
+	runAction,
+	feedbackValue,
+	lastStatus,
+	sleep,
+}
@@ -0,0 +1,34 @@
+// test/http-api.test.js
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { jsonResponse, parseJsonBody, tokenAccepted, portField } = require('../src/http-api')
+
+test('jsonResponse sets the status, content type and body', () => {
+	const res = jsonResponse(201, { ok: true })
+	assert.equal(res.status, 201)
+	assert.equal(res.headers['Content-Type'], 'application/json')
+	assert.deepEqual(JSON.parse(res.body), { ok: true })
+})
+
+test('parseJsonBody accepts an object or an empty body and rejects anything else', () => {
+	assert.deepEqual(parseJsonBody('{"output":3}'), { output: 3 })
+	assert.deepEqual(parseJsonBody(''), {})
+	assert.throws(() => parseJsonBody('{output'), /not valid JSON/)
+	assert.throws(() => parseJsonBody('[1,2]'), /JSON object/)
+})
+
+test('tokens come from a bearer header, an api token header or the query', () => {
+	assert.equal(tokenAccepted({ headers: {} }, ''), true)
+	assert.equal(tokenAccepted({ headers: {} }, 'secret'), false)
+	assert.equal(tokenAccepted({ headers: { authorization: 'Bearer secret' } }, 'secret'), true)
+	assert.equal(tokenAccepted({ headers: { 'X-Api-Token': 'secret' } }, 'secret'), true)
+	assert.equal(tokenAccepted({ headers: {}, query: { token: 'secret' } }, 'secret'), true)
+	assert.equal(tokenAccepted({ headers: { authorization: 'Bearer secreT' } }, 'secret'), false)
+})
+
+test('portField takes numbers and numeric strings only', () => {
+	assert.equal(portField(4), 4)
+	assert.equal(portField(' 12 '), 12)
+	assert.ok(Number.isNaN(portField('1-4')))
+	assert.ok(Number.isNaN(portField(null)))
+})
@@ -0,0 +1,921 @@
+// test/instance.test.js
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const { EtlSimulator } = require('../tools/etl-simulator')
+const {
+	InstanceStatus,
+	EtlRfMatrixInstance,
+	testConfig,
+	createInstance,
+	runAction,
+	feedbackValue,
+	lastStatus,
+	sleep,
+} = require('./helpers/companion')
+
+/** Start a simulator and an instance connected to it, torn down after the test. */
+async function setup(t, simOptions = {}, configExtra = {}) {
+	const sim = new EtlSimulator(simOptions)
+	const port = await sim.listen()
+	const instance = await createInstance(testConfig(port, configExtra))
+	t.after(async () => {
+		await instance.destroy()
+		await sim.close()
+	})
+	return { sim, port, instance }
+}
+
+test('boot polls read aliases, size and routing', async (t) => {
+	const { instance } = await setup(t, { inputs: 4, outputs: 4 })
+
+	assert.equal(instance.inputsCount, 4)
+	assert.equal(instance.outputsCount, 4)
+	assert.equal(instance.variables.input_003_name, 'IN3')
+	assert.equal(instance.variables.output_004_name, 'OUT4')
+	assert.equal(instance.variables.out_002_src, '2')
+	assert.deepEqual(instance.currentSources, [1, 2, 3, 4])
+	assert.equal(lastStatus(instance), InstanceStatus.Ok)
+})
+
+test('route action switches the crosspoint and lights the source feedback', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	await runAction(instance, 'route', { input: '5', output: '3' })
+	assert.equal(sim.routes[2], 5)
+
+	await runAction(instance, 'select_destination', { output: '3' })
+	assert.equal(feedbackValue(instance, 'srcMatchesSelected', { input: 5 }), true)
+	assert.equal(feedbackValue(instance, 'srcMatchesSelected', { input: 3 }), false)
+
+	await instance.pollStatusOnce()
+	assert.equal(instance.variables.out_003_src, '5')
+})
+
+test('route pair switches both members', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	await runAction(instance, 'route_pair', { input_odd: '7', output_odd: '1' })
+	assert.deepEqual(sim.routes.slice(0, 2), [7, 8])
+
+	await runAction(instance, 'select_destination', { output: '1' })
+	assert.equal(feedbackValue(instance, 'pairMatchesSelected', { input_odd: 7 }), true)
+})
+
+test('alarm flags are decoded from full and quick status', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	sim.flags.psu2 = 'F'
+	await instance.pollStatusOnce()
+	assert.equal(instance.variables.psu2_ok, 'F')
+	assert.equal(instance.variables.psu1_ok, 'O')
+
+	sim.flags.psu2 = 'O'
+	sim.flags.link = 'F'
+	await instance.pollQuickStatusOnce()
+	assert.equal(instance.variables.psu2_ok, 'O')
+	assert.equal(instance.variables.link_ok, 'F')
+})
+
+test('split and slow replies are reassembled', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	sim.faults.split = true
+	sim.faults.delayMs = 300
+	sim.routes[0] = 9
+	await instance.pollStatusOnce()
+	assert.equal(instance.variables.out_001_src, '9')
+	assert.equal(lastStatus(instance), InstanceStatus.Ok)
+})
+
+test('a slow matrix still answers within the default reply timeout', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	sim.faults.delayMs = 1300
+	await runAction(instance, 'route', { input: '7', output: '2' })
+	assert.equal(sim.routes[1], 7)
+	assert.equal(instance.currentSources[1], 7)
+	assert.equal(instance.variables.last_error, '')
+	assert.equal(instance.conn.replyTimeoutMs, 1500)
+})
+
+test('a bad checksum is rejected, counted and reported as a warning', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	sim.routes[0] = 12
+	sim.faults.corruptNext = 1
+	await instance.pollStatusOnce()
+	assert.equal(instance.variables.checksum_errors, '1')
+	assert.equal(lastStatus(instance), InstanceStatus.UnknownWarning)
+	// the damaged reply must not reach the routing table
+	assert.equal(instance.currentSources[0], 1)
+
+	await instance.pollStatusOnce()
+	assert.equal(instance.currentSources[0], 12)
+	assert.equal(lastStatus(instance), InstanceStatus.Ok)
+})
+
+test('a checksum that is itself a closing brace does not leak into the last field', async (t) => {
+	const { sim, instance } = await setup(t, { inputs: 16, outputs: 4 })
+	const replies = []
+	const request = instance.request.bind(instance)
+	instance.request = async (...args) => {
+		const reply = await request(...args)
+		replies.push(reply)
+		return reply
+	}
+
+	sim.routes = [8, 9, 3, 4]
+	await instance.pollStatusOnce()
+	assert.ok(replies.at(-1).endsWith('}}'))
+	assert.equal(instance.variables.summary_alarm_ok, 'O')
+	assert.equal(instance.variables.alarms_active, '0')
+	assert.equal(instance.variables.out_001_src, '8')
+	assert.equal(lastStatus(instance), InstanceStatus.Ok)
+})
+
+test('a dropped reply fails the poll and the next one recovers', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	sim.faults.dropNext = 1
+	await instance.pollStatusOnce()
+	assert.equal(lastStatus(instance), InstanceStatus.ConnectionFailure)
+	assert.equal(instance.variables.last_error, 'Reply timeout')
+
+	await instance.pollStatusOnce()
+	assert.equal(lastStatus(instance), InstanceStatus.Ok)
+})
+
+test('polling backs off when the matrix is silent, not when its reply is unusable', async (t) => {
+	const { sim, instance } = await setup(t, {}, { statusPollMs: 100 })
+	instance.stopPolling()
+	await sleep(150)
+
+	instance.parseFullStatus = () => null
+	instance.fullStatusDirty = true
+	await instance.pollTick()
+	assert.equal(lastStatus(instance), InstanceStatus.UnknownWarning)
+	assert.equal(instance.pollDelay, 100)
+
+	sim.faults.dropNext = 1
+	await instance.pollTick()
+	assert.equal(lastStatus(instance), InstanceStatus.ConnectionFailure)
+	assert.equal(instance.pollDelay, 200)
+})
+
+test('the session reconnects after the matrix goes away', async (t) => {
+	const { sim, port, instance } = await setup(t)
+
+	await sim.close()
+	await sleep(50)
+	assert.equal(lastStatus(instance), InstanceStatus.ConnectionFailure)
+	await instance.pollStatusOnce()
+	assert.equal(lastStatus(instance), InstanceStatus.ConnectionFailure)
+
+	await sim.listen(port)
+	await sleep(2500)
+	await instance.pollStatusOnce()
+	assert.equal(lastStatus(instance), InstanceStatus.Ok)
+})
+
+test('locked outputs refuse routes', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	await runAction(instance, 'lock_output', { output: '2', mode: 'lock' })
+	await runAction(instance, 'route', { input: '9', output: '2' })
+	assert.equal(sim.routes[1], 2)
+	assert.ok(instance.logs.some((l) => l.level === 'warn' && l.message.includes('locked')))
+	assert.deepEqual(instance.savedConfig.lockedOutputs, [2])
+})
+
+test('undo and redo walk the route history', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	await runAction(instance, 'route', { input: '9', output: '2' })
+	await runAction(instance, 'route', { input: '10', output: '2' })
+	await runAction(instance, 'route', { input: '11', output: '5' })
+	assert.equal(instance.variables.history_count, '3')
+	assert.deepEqual(
+		[instance.variables.last_change_output, instance.variables.last_change_from, instance.variables.last_change_to],
+		['5', '5', '11'],
+	)
+
+	await runAction(instance, 'undo_last_route')
+	await runAction(instance, 'undo_last_route')
+	assert.deepEqual([sim.routes[1], sim.routes[4]], [9, 5])
+	assert.equal(instance.variables.redo_count, '2')
+
+	await runAction(instance, 'redo_route')
+	assert.equal(sim.routes[1], 10)
+	assert.equal(instance.variables.history_count, '2')
+	assert.equal(instance.variables.redo_count, '1')
+
+	// a fresh change drops what was undone
+	await runAction(instance, 'route', { input: '1', output: '7' })
+	assert.equal(instance.variables.redo_count, '0')
+	await runAction(instance, 'redo_route')
+	assert.equal(instance.logs.at(-1).message, 'Nothing to redo')
+})
+
+test('undo on the selected destination skips newer changes on other outputs', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	await runAction(instance, 'route', { input: '9', output: '2' })
+	await runAction(instance, 'route', { input: '12', output: '4' })
+	await runAction(instance, 'select_destination', { output: '2' })
+	await runAction(instance, 'undo_selected')
+	assert.deepEqual([sim.routes[1], sim.routes[3]], [2, 12])
+	assert.deepEqual(
+		instance.routeHistory.map((e) => e.output),
+		[4],
+	)
+
+	await runAction(instance, 'undo_selected')
+	assert.match(instance.logs.at(-1).message, /No route history for output 002/)
+
+	// locked outputs are not undone
+	await runAction(instance, 'lock_output', { output: '4', mode: 'lock' })
+	await runAction(instance, 'undo_last_route')
+	assert.equal(sim.routes[3], 12)
+})
+
+test('undo with polling running restores the previous source and records remote changes once', async (t) => {
+	const { sim, instance } = await setup(t, {}, { statusPollMs: 100, fullStatusMs: 100 })
+
+	await runAction(instance, 'route', { input: '5', output: '3' })
+	await runAction(instance, 'route', { input: '6', output: '3' })
+	sim.routes[7] = 1 // another controller
+	await sleep(400)
+	assert.deepEqual(
+		instance.routeHistory.map((e) => `${e.output}:${e.from}>${e.to} ${e.origin}`),
+		['3:3>5 local', '3:5>6 local', '8:8>1 remote'],
+	)
+
+	await runAction(instance, 'undo_last_route')
+	await runAction(instance, 'undo_last_route')
+	await sleep(300)
+	assert.deepEqual([sim.routes[7], sim.routes[2]], [8, 5])
+	assert.equal(instance.routeHistory.length, 1)
+	assert.equal(instance.redoStack.length, 2)
+})
+
+test('a fired salvo sends its routes and shows as active while they stay live', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	await runAction(instance, 'salvo_store_list', { name: 'Night', routes: '1:5, 2:6, 3:7' })
+	assert.equal(feedbackValue(instance, 'salvoActive', { name: 'Night' }), false)
+	await runAction(instance, 'lock_output', { output: '3', mode: 'lock' })
+	await runAction(instance, 'fire_salvo', { name: 'Night' })
+	assert.deepEqual(sim.routes.slice(0, 3), [5, 6, 3])
+	assert.equal(instance.variables.salvo_last_fired, 'Night')
+	assert.equal(feedbackValue(instance, 'salvoActive', { name: 'Night' }), false)
+
+	await runAction(instance, 'lock_output', { output: '3', mode: 'unlock' })
+	await runAction(instance, 'fire_salvo', { name: 'Night' })
+	assert.deepEqual(sim.routes.slice(0, 3), [5, 6, 7])
+	assert.equal(feedbackValue(instance, 'salvoActive', { name: 'Night' }), true)
+
+	// another controller moves one of its outputs
+	sim.routes[1] = 1
+	await instance.pollStatusOnce()
+	assert.equal(feedbackValue(instance, 'salvoActive', { name: 'Night' }), false)
+
+	await runAction(instance, 'fire_salvo', { name: 'Day' })
+	assert.equal(instance.logs.at(-1).message, 'Salvo "Day" not found')
+})
+
+test('an active alarm raises feedbacks, counts and holds the status in warning', async (t) => {
+	const { sim, instance } = await setup(t)
+	assert.equal(feedbackValue(instance, 'anyAlarm'), false)
+
+	sim.flags.psu1 = 'F'
+	await instance.pollQuickStatusOnce()
+	assert.equal(feedbackValue(instance, 'psu1Alarm'), true)
+	assert.equal(feedbackValue(instance, 'anyAlarm'), true)
+	assert.equal(instance.variables.alarms_active, '1')
+	assert.equal(instance.variables.alarm_count, '1')
+	assert.notEqual(instance.variables.alarm_last_time, '')
+	assert.equal(lastStatus(instance), InstanceStatus.UnknownWarning)
+	assert.ok(instance.logs.some((l) => l.level === 'error' && l.message.includes('PSU1 alarm raised')))
+
+	sim.flags.psu1 = 'O'
+	await instance.pollStatusOnce()
+	assert.equal(feedbackValue(instance, 'anyAlarm'), false)
+	assert.equal(instance.variables.alarm_count, '1')
+	assert.equal(lastStatus(instance), InstanceStatus.Ok)
+
+	sim.flags.summary = 'F'
+	await instance.pollQuickStatusOnce()
+	assert.equal(instance.logs.filter((l) => l.level === 'error').at(-1).message, 'Summary alarm raised (F)')
+})
+
+test('crosspoint feedback and source name variables follow the routing', async (t) => {
+	const { sim, instance } = await setup(t, { inputAliases: ['SAT1', 'SAT2', 'SAT3', 'SAT4'], inputs: 4, outputs: 4 })
+
+	assert.equal(instance.variables.out_002_src_name, 'SAT2')
+	instance.variables.dest = '2'
+	assert.equal(await feedbackValue(instance, 'crosspointActive', { output: '$(test:dest)', input: '2' }), true)
+
+	await runAction(instance, 'route', { input: '4', output: '2' })
+	assert.equal(sim.routes[1], 4)
+	assert.equal(instance.variables.out_002_src_name, 'SAT4')
+	assert.equal(await feedbackValue(instance, 'crosspointActive', { output: '2', input: '2' }), false)
+	assert.deepEqual(await feedbackValue(instance, 'destSourceName', { output: '2', show_dest: true }), {
+		text: 'OUT2\nSAT4',
+	})
+})
+
+test('take mode preselects the source and Take sends it', async (t) => {
+	const { sim, instance } = await setup(t, {}, { takeMode: true })
+
+	await runAction(instance, 'select_destination', { output: '4' })
+	await runAction(instance, 'route_to_selected', { input: '9' })
+	assert.equal(sim.routes[3], 4)
+	assert.equal(instance.variables.pending_source, '9')
+	assert.equal(instance.variables.pending_destination, '4')
+	assert.equal(feedbackValue(instance, 'srcPending', { input: 9, pair: false }), true)
+
+	await runAction(instance, 'take')
+	assert.equal(sim.routes[3], 9)
+	assert.equal(instance.variables.pending_source, '')
+
+	await runAction(instance, 'route_to_selected', { input: '2' })
+	await runAction(instance, 'cancel')
+	assert.equal(feedbackValue(instance, 'takePending'), false)
+	await runAction(instance, 'take')
+	assert.equal(sim.routes[3], 9)
+})
+
+test('take mode switched by action survives an unrelated config save', async (t) => {
+	const { instance } = await setup(t)
+
+	await runAction(instance, 'set_take_mode', { mode: 'on' })
+	await instance.configUpdated({ ...instance.config, aliasPollMs: 600001 })
+	assert.equal(instance.variables.take_mode, 'true')
+
+	await instance.configUpdated({ ...instance.config, takeMode: true })
+	await runAction(instance, 'set_take_mode', { mode: 'off' })
+	await instance.configUpdated({ ...instance.config, aliasPollMs: 600002 })
+	assert.equal(instance.variables.take_mode, 'false')
+})
+
+test('a route the matrix refuses or ignores is retried', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	sim.faults.nakSwitchNext = 1
+	sim.faults.ignoreSwitchNext = 1
+	await runAction(instance, 'route', { input: '6', output: '1' })
+	assert.equal(sim.routes[0], 6)
+	assert.equal(instance.currentSources[0], 6)
+	assert.equal(instance.variables.route_failures, '0')
+	assert.equal(feedbackValue(instance, 'routeFailed', { output: 1 }), false)
+})
+
+test('a route that never takes raises routeFailed and counts the failure', async (t) => {
+	const { sim, instance } = await setup(t, {}, { routeRetries: 1 })
+
+	sim.faults.ignoreSwitchNext = 2
+	await runAction(instance, 'route', { input: '6', output: '1' })
+	assert.equal(sim.routes[0], 1)
+	assert.equal(instance.currentSources[0], 1)
+	assert.equal(instance.variables.route_failures, '1')
+	assert.match(instance.variables.last_error, /not taken, matrix reports input 001/)
+	assert.equal(feedbackValue(instance, 'routeFailed', { output: 1 }), true)
+
+	await runAction(instance, 'route', { input: '6', output: '1' })
+	assert.equal(feedbackValue(instance, 'routeFailed', { output: 1 }), false)
+})
+
+test('polling backs off while the matrix is unreachable and recovers', async (t) => {
+	const { sim, port, instance } = await setup(t, {}, { statusPollMs: 100, pollMaxMs: 400, fullStatusMs: 200 })
+
+	await sim.close()
+	await sleep(1200)
+	assert.equal(instance.pollDelay, 400)
+	const errors = instance.logs.filter((l) => l.level === 'error').length
+	assert.ok(errors <= 2, `outage logged ${errors} times`)
+
+	await sim.listen(port)
+	await sleep(2600)
+	assert.equal(instance.pollDelay, 100)
+	assert.equal(lastStatus(instance), InstanceStatus.Ok)
+})
+
+test('normal polling uses quick status and reads full status after a route', async (t) => {
+	const { sim, instance } = await setup(t, {}, { statusPollMs: 100, fullStatusMs: 60000, aliasPollMs: 60000 })
+	const seen = []
+	sim.on('request', (body) => seen.push(body))
+
+	await sleep(350)
+	assert.ok(seen.includes('Q'))
+	assert.ok(!seen.includes('?'))
+	assert.ok(!seen.includes('T?'))
+
+	await runAction(instance, 'route', { input: '3', output: '5' })
+	seen.length = 0
+	await sleep(250)
+	assert.ok(seen.includes('?'))
+})
+
+test('only changed variables are sent and only the moved output feedbacks are re-checked', async (t) => {
+	const { sim, instance } = await setup(t)
+	const sent = []
+	// the base class sees only what the module decided to publish
+	const base = Object.getPrototypeOf(EtlRfMatrixInstance.prototype)
+	const setValues = base.setVariableValues
+	t.mock.method(base, 'setVariableValues', function (values) {
+		sent.push(values)
+		return setValues.call(this, values)
+	})
+	await feedbackValue(instance, 'crosspointActive', { output: '1', input: '1' }, 'fb1')
+	await feedbackValue(instance, 'crosspointActive', { output: '2', input: '2' }, 'fb2')
+
+	await instance.pollStatusOnce()
+	assert.ok(!sent.some((values) => 'out_001_src' in values))
+
+	sim.routes[1] = 7
+	instance.checkedFeedbacks.length = 0
+	await instance.pollStatusOnce()
+	assert.ok(sent.some((values) => values.out_002_src === '7' && !('out_001_src' in values)))
+	assert.ok(instance.checkedFeedbacks.some((ids) => ids.includes('fb2') && !ids.includes('fb1')))
+	assert.ok(!instance.checkedFeedbacks.some((ids) => ids.length === 0))
+})
+
+test('snapshots export, dry run and apply only the differing unlocked routes', async (t) => {
+	const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'etl-snap-'))
+	t.after(() => fs.rm(dir, { recursive: true, force: true }))
+	const { sim, instance } = await setup(t, { inputs: 4, outputs: 4 }, { snapshotDir: dir })
+
+	await runAction(instance, 'snapshot_export', { file: 'before.csv', format: 'auto' })
+	assert.match(await fs.readFile(path.join(dir, 'before.csv'), 'utf8'), /^3,OUT3,3,IN3\r$/m)
+
+	sim.routes.splice(0, 4, 4, 4, 4, 4)
+	await instance.pollStatusOnce()
+	await runAction(instance, 'lock_output', { output: '2', mode: 'lock' })
+	await runAction(instance, 'snapshot_import', { file: 'before.csv', format: 'auto', mode: 'dry_run' })
+	assert.equal(instance.variables.snapshot_diff_count, '3')
+	assert.deepEqual(sim.routes, [4, 4, 4, 4])
+
+	await runAction(instance, 'snapshot_import', { file: 'before.csv', format: 'auto', mode: 'apply' })
+	assert.deepEqual(sim.routes, [1, 4, 3, 4])
+
+	await fs.writeFile(
+		path.join(dir, 'big.json'),
+		JSON.stringify({ outputs: 8, inputs: 8, routes: [{ output: 1, input: 2 }] }),
+	)
+	await runAction(instance, 'snapshot_import', { file: 'big.json', format: 'auto', mode: 'apply' })
+	assert.equal(sim.routes[0], 1)
+	assert.match(instance.variables.last_error, /file is for 8 outputs x 8 inputs, matrix is 4 x 4/)
+})
+
+test('scheduled routes apply and revert on time, and changes missed while down are reported', async (t) => {
+	const { sim, instance } = await setup(t)
+	let clock = Date.parse('2026-03-06T13:59:00Z')
+	instance.now = () => clock
+
+	await runAction(instance, 'schedule_add', {
+		input: '9',
+		output: '2',
+		repeat: 'once',
+		start: '14:00',
+		revert: '15:30',
+	})
+	assert.equal(instance.variables.schedule_count, '1')
+	assert.equal(instance.savedConfig.schedule.length, 1)
+	await instance.scheduleTick()
+	assert.equal(instance.variables.schedule_countdown, '0:01:00')
+	assert.equal(instance.variables.schedule_next_time, '2026-03-06 14:00:00 UTC')
+
+	clock = Date.parse('2026-03-06T14:00:01Z')
+	await instance.scheduleTick()
+	assert.equal(sim.routes[1], 9)
+	assert.match(instance.variables.schedule_next, /^002 > 002 \(revert/)
+
+	clock = Date.parse('2026-03-06T15:30:00Z')
+	await instance.scheduleTick()
+	assert.equal(sim.routes[1], 2)
+	assert.equal(instance.variables.schedule_count, '0')
+
+	// no tick ran around 16:00, as if Companion was down
+	await runAction(instance, 'schedule_add', { input: '7', output: '4', repeat: 'recurring', start: '16:00' })
+	clock = Date.parse('2026-03-06T18:00:00Z')
+	await instance.scheduleTick()
+	assert.equal(sim.routes[3], 4)
+	assert.equal(instance.variables.schedule_missed_count, '1')
+	assert.match(instance.variables.schedule_last_missed, /missed apply of output 004/)
+	assert.equal(instance.variables.schedule_next_time, '2026-03-07 16:00:00 UTC')
+})
+
+test('raw commands store the reply or a capture group in a named variable', async (t) => {
+	const { sim, instance } = await setup(t)
+	const seen = []
+	sim.on('request', (body) => seen.push(body))
+	sim.routes[0] = 12
+	instance.variables.cmd = '?'
+
+	await runAction(instance, 'send_raw_command', {
+		body: '$(test:cmd)',
+		variable: 'out1_raw',
+		regex: '^STATUS,(\\d+)',
+		group: 1,
+	})
+	assert.deepEqual(seen, ['?'])
+	assert.equal(instance.variables.out1_raw, '012')
+	assert.ok(instance.variableDefinitions.some((d) => d.variableId === 'out1_raw'))
+	assert.deepEqual(instance.savedConfig.rawVariables, ['out1_raw'])
+
+	await runAction(instance, 'send_raw_command', { body: 'Q', variable: 'quick', regex: '' })
+	assert.equal(instance.variables.quick, 'QOOOO')
+	const fb = instance.feedbacks.rawReplyMatches
+	const learned = fb.learn({ options: { variable: 'quick', mode: 'regex', value: '' } })
+	assert.equal(learned.value, 'QOOOO')
+	assert.equal(feedbackValue(instance, 'rawReplyMatches', learned), true)
+
+	await runAction(instance, 'send_raw_command', { body: 'Q', variable: 'last_error' })
+	assert.ok(instance.logs.some((l) => l.level === 'error' && l.message.includes('is a module variable')))
+
+	// switches go through the route actions so locks hold
+	await runAction(instance, 'lock_output', { output: '2', mode: 'lock' })
+	await runAction(instance, 'send_raw_command', { body: 's,002,009', variable: 'sw' })
+	assert.equal(sim.routes[1], 2)
+	assert.match(instance.logs.at(-1).message, /is a switch, use the Route action/)
+})
+
+test('the module fails over to the backup path and back to the primary', async (t) => {
+	const backup = new EtlSimulator()
+	const backupPort = await backup.listen()
+	t.after(() => backup.close())
+	const { sim, port, instance } = await setup(t, {}, { backupHost: '127.0.0.1', backupPort, failoverPolls: 2 })
+	assert.equal(instance.variables.active_path, 'primary')
+
+	// damaged or unparsable replies come from a live path
+	sim.faults.corruptNext = 1
+	await instance.pollTick()
+	const parse = instance.parseFullStatus
+	instance.parseFullStatus = () => null
+	instance.fullStatusDirty = true
+	await instance.pollTick()
+	instance.parseFullStatus = parse
+	assert.equal(instance.failedPolls, 0)
+	assert.equal(instance.variables.active_path, 'primary')
+
+	await sim.close()
+	await sleep(50)
+	await instance.pollTick()
+	assert.equal(instance.variables.active_path, 'primary')
+	await instance.pollTick()
+	assert.equal(instance.variables.active_path, 'backup')
+	assert.equal(instance.variables.active_host, `127.0.0.1:${backupPort}`)
+	assert.equal(feedbackValue(instance, 'activePath', { path: 'backup' }), true)
+	assert.ok(instance.logs.some((l) => l.level === 'warn' && l.message.includes('switched from primary to backup')))
+
+	await sleep(100)
+	await runAction(instance, 'route', { input: '5', output: '1' })
+	assert.equal(backup.routes[0], 5)
+
+	// fail back only when enabled and the primary answers the probe
+	await sim.listen(port)
+	instance.config.failBack = true
+	instance.lastFailBackProbe = 0
+	await instance.pollTick()
+	assert.equal(instance.variables.active_path, 'primary')
+
+	await runAction(instance, 'set_control_path', { path: 'backup' })
+	assert.equal(instance.variables.active_path, 'backup')
+})
+
+test('route_multi sends one input to a range of outputs and refuses locked or out of range lists', async (t) => {
+	const { sim, instance } = await setup(t)
+	instance.variables.last = '15'
+
+	await runAction(instance, 'route_multi', { input: '3', outputs: '1-4,12,$(test:last)' })
+	assert.deepEqual(
+		[1, 2, 3, 4, 12, 15].map((o) => sim.routes[o - 1]),
+		[3, 3, 3, 3, 3, 3],
+	)
+	assert.equal(sim.routes[4], 5)
+
+	await runAction(instance, 'route_multi', { input: '7', outputs: '16-17' })
+	await runAction(instance, 'lock_output', { output: '2', mode: 'lock' })
+	await runAction(instance, 'route_multi', { input: '7', outputs: '1-2' })
+	assert.equal(sim.routes[15], 16)
+	assert.equal(sim.routes[0], 3)
+})
+
+test('multi-select mode routes the pressed source to every marked destination', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	await runAction(instance, 'set_multi_select', { mode: 'on' })
+	for (const output of ['5', '6', '9', '6']) await runAction(instance, 'select_destination', { output })
+	assert.equal(instance.variables.multi_outputs, '5,9')
+	assert.equal(feedbackValue(instance, 'destSelected', { output: 9 }), true)
+	assert.equal(feedbackValue(instance, 'destSelected', { output: 6 }), false)
+
+	await runAction(instance, 'route_to_selected', { input: '11' })
+	assert.deepEqual([sim.routes[4], sim.routes[5], sim.routes[8]], [11, 6, 11])
+	assert.equal(feedbackValue(instance, 'srcMatchesSelected', { input: 11 }), true)
+})
+
+test('paged XY slots follow the page variables', async (t) => {
+	const { sim, instance } = await setup(t, { inputs: 40, outputs: 40 }, { pageSize: 16 })
+	assert.equal(instance.variables.dest_pages, '3')
+	assert.equal(instance.variables.dest_slot_01, '001')
+
+	await runAction(instance, 'xy_page', { kind: 'dest', step: 'next' })
+	assert.equal(instance.variables.dest_page, '2')
+	assert.equal(instance.variables.dest_page_offset, '16')
+	assert.equal(instance.variables.dest_slot_01_name, 'OUT17')
+	await runAction(instance, 'select_destination_slot', { slot: 1 })
+	assert.equal(instance.variables.selected_output, '17')
+	assert.equal(feedbackValue(instance, 'destSlotSelected', { slot: 1 }), true)
+
+	// previous from the first page wraps to the last, which is part filled
+	await runAction(instance, 'xy_page', { kind: 'src', step: 'previous' })
+	assert.equal(instance.variables.src_page, '3')
+	assert.equal(instance.variables.src_slot_09, '')
+	await runAction(instance, 'route_slot_to_selected', { slot: 8 })
+	assert.equal(sim.routes[16], 40)
+	assert.equal(feedbackValue(instance, 'srcSlotMatchesSelected', { slot: 8 }), true)
+
+	await runAction(instance, 'xy_page', { kind: 'dest', step: 'next' })
+	assert.equal(feedbackValue(instance, 'destSlotSelected', { slot: 1 }), false)
+})
+
+test('alias writes are read back from the matrix and a mismatch is reported', async (t) => {
+	const { sim, instance } = await setup(t, { inputs: 4, outputs: 4 })
+
+	await runAction(instance, 'set_input_alias', { input: '2', alias: 'SAT2 RHCP' })
+	await runAction(instance, 'set_output_alias', { output: '4', alias: 'RX4' })
+	assert.deepEqual([sim.inputAliases[1], sim.outputAliases[3]], ['SAT2 RHCP', 'RX4'])
+	assert.deepEqual([instance.variables.input_002_name, instance.variables.output_004_name], ['SAT2 RHCP', 'RX4'])
+	assert.equal(instance.logs.at(-1).message, 'Output 004 alias set to "RX4"')
+
+	await runAction(instance, 'set_output_alias', { output: '1', alias: 'A,B' })
+	await runAction(instance, 'set_input_alias', { input: '5', alias: 'SAT5' })
+	assert.match(instance.logs.at(-2).message, /Output 001 alias "A,B" refused: commas/)
+	assert.equal(instance.logs.at(-1).message, 'Input must be 1..4')
+
+	// a matrix that acknowledges the write but keeps the old alias
+	const handle = sim.handle.bind(sim)
+	sim.handle = (body) => (body.startsWith('T,') ? body : handle(body))
+	const before = sim.outputAliases[0]
+	await runAction(instance, 'set_output_alias', { output: '1', alias: 'RX1' })
+	const m = `Output 001 alias mismatch: wrote "RX1", matrix reports "${before}"`
+	assert.equal(instance.variables.last_error, m)
+	assert.equal(lastStatus(instance), InstanceStatus.UnknownWarning)
+})
+
+test('routes by alias name and narrows the paged sources with a filter', async (t) => {
+	const inputAliases = ['SAT1 LHCP', 'SAT1 RHCP', 'SAT3 LHCP', 'sat3 lhcp', 'TEST', 'SAT4 LHCP']
+	const outputAliases = ['RX1', 'RX2', 'RX3', 'RX4', 'RX5', 'RX6']
+	const { sim, instance } = await setup(t, { inputs: 6, outputs: 6, inputAliases, outputAliases }, { pageSize: 2 })
+
+	await runAction(instance, 'route_by_name', { input: 'SAT1 RHCP', output: 'rx4', match: 'nocase' })
+	assert.equal(sim.routes[3], 2)
+
+	// the exact match wins, without it the name is ambiguous
+	await runAction(instance, 'route_by_name', { input: 'sat3 lhcp', output: 'RX5', match: 'nocase' })
+	assert.equal(sim.routes[4], 4)
+	await runAction(instance, 'route_by_name', { input: 'Sat3 Lhcp', output: 'RX5', match: 'nocase' })
+	assert.equal(sim.routes[4], 4)
+	assert.ok(instance.logs.some((l) => l.level === 'error' && l.message.includes('ambiguous, it matches 003, 004')))
+	await runAction(instance, 'route_by_name', { input: 'test', output: 'RX5', match: 'exact' })
+	assert.equal(sim.routes[4], 4)
+
+	await runAction(instance, 'source_filter', { mode: 'append', text: 'lh' })
+	await runAction(instance, 'source_filter', { mode: 'append', text: 'cp' })
+	assert.equal(instance.variables.source_filter, 'lhcp')
+	assert.equal(instance.variables.source_filter_count, '4')
+	assert.equal(instance.variables.src_pages, '2')
+	await runAction(instance, 'xy_page', { kind: 'src', step: 'next' })
+	assert.deepEqual([instance.variables.src_slot_01, instance.variables.src_slot_02], ['004', '006'])
+	assert.equal(feedbackValue(instance, 'srcFilteredOut', { input: 2 }), true)
+
+	await runAction(instance, 'source_filter', { mode: 'clear' })
+	assert.equal(instance.variables.src_pages, '3')
+	assert.equal(feedbackValue(instance, 'srcFilteredOut', { input: 2 }), false)
+})
+
+test('outputs can be disconnected, parked and cleared from a bad input', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	await runAction(instance, 'disconnect_output', { output: '3' })
+	assert.equal(sim.routes[2], 0)
+	assert.equal(instance.variables.out_003_src, '0')
+	assert.equal(instance.variables.out_003_src_name, 'OFF')
+	assert.equal(instance.variables.out_003_disconnected, 'true')
+	assert.equal(feedbackValue(instance, 'destDisconnected', { output: 3 }), true)
+
+	// the off crosspoint is a source like any other for undo, salvos and schedules
+	await runAction(instance, 'route', { input: '9', output: '3' })
+	await runAction(instance, 'undo_last_route')
+	assert.equal(sim.routes[2], 0)
+	await runAction(instance, 'salvo_capture', { name: 'Off' })
+	assert.deepEqual(instance.salvos[0].routes[2], { output: 3, input: 0 })
+	let clock = Date.parse('2026-03-06T13:59:00Z')
+	instance.now = () => clock
+	await runAction(instance, 'schedule_add', {
+		input: '5',
+		output: '3',
+		repeat: 'once',
+		start: '14:00',
+		revert: '15:00',
+	})
+	clock = Date.parse('2026-03-06T14:00:01Z')
+	await instance.scheduleTick()
+	assert.equal(sim.routes[2], 5)
+	clock = Date.parse('2026-03-06T15:00:00Z')
+	await instance.scheduleTick()
+	assert.equal(sim.routes[2], 0)
+
+	await runAction(instance, 'select_destination', { output: '4' })
+	await runAction(instance, 'disconnect_selected')
+	assert.equal(sim.routes[3], 0)
+	assert.equal(feedbackValue(instance, 'selectedDisconnected'), true)
+
+	await runAction(instance, 'route_multi', { input: '7', outputs: '8-10' })
+	await runAction(instance, 'lock_output', { output: '9', mode: 'lock' })
+	instance.config.parkInput = 16
+	await runAction(instance, 'disconnect_input', { input: '7' })
+	// output 7 starts on input 7 too, the locked output 9 stays
+	assert.deepEqual(sim.routes.slice(6, 10), [16, 16, 7, 16])
+	assert.equal(instance.variables.out_008_src_name, 'PARK')
+	assert.equal(instance.variables.out_008_disconnected, 'true')
+})
+
+test('groups route member k to member k and their feedback needs the whole group', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	await runAction(instance, 'group_store', { kind: 'source', name: 'Feed', ports: '9-16', size: 4 })
+	await runAction(instance, 'group_store', { kind: 'destination', name: 'Quad', ports: '6,5,8,7', size: 0 })
+	assert.equal(instance.variables.source_groups, 'Feed 1, Feed 2')
+	assert.deepEqual(instance.savedConfig.groups[2], { name: 'Quad', kind: 'destination', ports: [6, 5, 8, 7] })
+	assert.ok(instance.presets.some((p) => p.name === 'Src group Feed 2'))
+	assert.ok(!instance.presets.some((p) => p.category === 'XY: Sources (Paired)'))
+
+	await runAction(instance, 'route_group', { source: 'Feed 2', destination: 'Quad' })
+	assert.deepEqual(sim.routes.slice(4, 8), [14, 13, 16, 15])
+	assert.equal(feedbackValue(instance, 'groupMatches', { source: 'Feed 2', destination: 'Quad' }), true)
+
+	// any member selects the group, one moved member drops the feedback
+	await runAction(instance, 'select_destination', { output: '8' })
+	assert.equal(feedbackValue(instance, 'groupMatches', { source: 'Feed 2', destination: '' }), true)
+	await runAction(instance, 'route', { input: '1', output: '7' })
+	assert.equal(feedbackValue(instance, 'groupMatches', { source: 'Feed 2', destination: '' }), false)
+
+	// without a destination group the selection starts consecutive outputs
+	await runAction(instance, 'select_destination', { output: '2' })
+	await runAction(instance, 'route_group_to_selected', { source: 'Feed 1' })
+	assert.deepEqual(sim.routes.slice(1, 5), [9, 10, 11, 12])
+
+	await runAction(instance, 'select_destination', { output: '14' })
+	await runAction(instance, 'route_group_to_selected', { source: 'Feed 1' })
+	assert.equal(sim.routes[13], 14)
+	assert.match(instance.logs.at(-1).message, /out of range/)
+})
+
+test('input usage follows the routing and the last output of an input needs a second press', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	await runAction(instance, 'route_multi', { input: '3', outputs: '5,9' })
+	assert.equal(instance.variables.in_003_usage_count, '3')
+	assert.equal(instance.variables.in_003_usage_outputs, '3,5,9')
+	assert.equal(instance.variables.in_003_usage_names, 'OUT3, OUT5, OUT9')
+	assert.equal(instance.variables.in_005_usage_count, '0')
+	assert.equal(await feedbackValue(instance, 'inputInUse', { input: '3', threshold: 3 }), true)
+	assert.equal(await feedbackValue(instance, 'inputInUse', { input: '3', threshold: 4 }), false)
+
+	// input 3 still feeds other outputs, no question asked
+	instance.config.confirmLastUsage = true
+	await runAction(instance, 'route', { input: '1', output: '5' })
+	assert.equal(sim.routes[4], 1)
+
+	// input 2 feeds output 2 only
+	await runAction(instance, 'route', { input: '1', output: '2' })
+	assert.equal(sim.routes[1], 2)
+	assert.equal(feedbackValue(instance, 'usageConfirmPending'), true)
+	assert.match(instance.variables.usage_confirm, /IN2 on 002/)
+	await runAction(instance, 'route', { input: '1', output: '2' })
+	assert.equal(sim.routes[1], 1)
+	assert.equal(instance.variables.usage_confirm, '')
+	assert.equal(instance.variables.in_001_usage_outputs, '1,2,5')
+
+	// a different press does not confirm the held one
+	await runAction(instance, 'disconnect_output', { output: '4' })
+	await runAction(instance, 'route', { input: '1', output: '6' })
+	await runAction(instance, 'disconnect_output', { output: '4' })
+	assert.deepEqual([sim.routes[3], sim.routes[5]], [4, 6])
+})
+
+test('rehearsal routes change a virtual table and are discarded or applied as one batch', async (t) => {
+	const { sim, instance } = await setup(t)
+	const switches = []
+	sim.on('request', (body) => body.startsWith('s,') && switches.push(body))
+
+	await runAction(instance, 'set_rehearsal', { mode: 'on' })
+	assert.equal(instance.variables.rehearsal_active, 'true')
+	assert.equal(feedbackValue(instance, 'rehearsalActive'), true)
+
+	await runAction(instance, 'route', { input: '9', output: '2' })
+	await runAction(instance, 'select_destination', { output: '3' })
+	await runAction(instance, 'route_to_selected', { input: '12' })
+	assert.deepEqual(switches, [])
+	assert.equal(instance.variables.out_002_src, '9')
+	assert.equal(feedbackValue(instance, 'srcMatchesSelected', { input: 12 }), true)
+	assert.equal(instance.variables.rehearsal_diff, '002: 002>009, 003: 003>012')
+
+	// another controller moves an output the rehearsal did not touch
+	sim.routes[5] = 1
+	await instance.pollStatusOnce()
+	assert.equal(instance.variables.out_006_src, '1')
+	assert.equal(instance.variables.out_002_src, '9')
+
+	await runAction(instance, 'set_rehearsal', { mode: 'discard' })
+	assert.equal(instance.variables.out_002_src, '2')
+	assert.equal(instance.variables.rehearsal_diff_count, '0')
+	assert.deepEqual(switches, [])
+
+	await runAction(instance, 'set_rehearsal', { mode: 'on' })
+	await runAction(instance, 'route', { input: '9', output: '2' })
+	await runAction(instance, 'route', { input: '4', output: '4' })
+	await runAction(instance, 'set_rehearsal', { mode: 'apply' })
+	assert.deepEqual(switches, ['s,002,009'])
+	assert.equal(sim.routes[1], 9)
+	assert.equal(instance.variables.rehearsal_active, 'false')
+})
+
+test('a rehearsal started by action survives an unrelated config save', async (t) => {
+	const { sim, instance } = await setup(t)
+
+	await runAction(instance, 'set_rehearsal', { mode: 'on' })
+	await runAction(instance, 'route', { input: '9', output: '2' })
+	await instance.configUpdated({ ...instance.config, aliasPollMs: 600001 })
+	assert.equal(instance.rehearsal, true)
+	assert.equal(instance.variables.out_002_src, '9')
+	assert.equal(sim.routes[1], 2)
+
+	// switching the checkbox itself still takes effect
+	await instance.configUpdated({ ...instance.config, rehearsal: true })
+	await instance.configUpdated({ ...instance.config, rehearsal: false })
+	assert.equal(instance.rehearsal, false)
+	assert.equal(instance.variables.out_002_src, '2')
+})
+
+test('the HTTP API is off by default, checks the token and validates like the actions', async (t) => {
+	const { sim, instance } = await setup(t, { inputs: 4, outputs: 4 })
+	const call = async (method, path, body, headers = {}) => {
+		const res = await instance.handleHttpRequest({ method, path, body, headers, query: {} })
+		return { status: res.status, data: JSON.parse(res.body) }
+	}
+
+	assert.equal((await call('GET', '/routes')).status, 404)
+	instance.config.httpApi = true
+	instance.config.httpToken = 'secret'
+	assert.equal((await call('GET', '/routes')).status, 401)
+	const auth = { authorization: 'Bearer secret' }
+
+	assert.deepEqual((await call('GET', '/size', '', auth)).data, { outputs: 4, inputs: 4 })
+	assert.deepEqual((await call('GET', '/aliases', '', auth)).data.inputs, ['IN1', 'IN2', 'IN3', 'IN4'])
+	assert.equal((await call('GET', '/alarms', '', auth)).data.psu1, 'O')
+	assert.deepEqual((await call('GET', '/routes/', '', auth)).data.currentSources, [1, 2, 3, 4])
+
+	assert.equal((await call('POST', '/route', '{"output":2,"input":4}', auth)).status, 200)
+	assert.equal(sim.routes[1], 4)
+	const outside = await call('POST', '/route', '{"output":3,"input":500}', auth)
+	assert.deepEqual([outside.status, outside.data.error], [400, 'Input must be 1..4'])
+	assert.equal((await call('POST', '/route_pair', '{"output":1,"input":2}', auth)).data.error, 'Input must be odd 1..4')
+	assert.equal((await call('POST', '/route_pair', '{"output":3,"input":1}', auth)).status, 200)
+	assert.deepEqual(sim.routes, [1, 4, 1, 2])
+
+	await runAction(instance, 'lock_output', { output: '3', mode: 'lock' })
+	assert.equal((await call('POST', '/disconnect', '{"output":3}', auth)).status, 409)
+	assert.equal((await call('POST', '/disconnect', '{"output":4}', auth)).status, 200)
+	assert.equal(sim.routes[3], 0)
+
+	assert.equal((await call('POST', '/route', '{output', auth)).status, 400)
+	assert.equal((await call('GET', '/route', '', auth)).status, 405)
+	assert.equal((await call('GET', '/nothing', '', auth)).status, 404)
+})
+
+test('a poll answered while a route is in flight does not record it as a remote change', async (t) => {
+	const { sim, instance } = await setup(t, { faults: { delayMs: 15 } }, { statusPollMs: 100, fullStatusMs: 200 })
+
+	for (const input of ['6', '7', '8', '9', '10']) {
+		await runAction(instance, 'route', { input, output: '3' })
+		await sleep(60)
+	}
+	const history = instance.routeHistory.filter((e) => e.output === 3)
+	assert.deepEqual(
+		history.map((e) => `${e.from}>${e.to} ${e.origin}`),
+		['3>6 local', '6>7 local', '7>8 local', '8>9 local', '9>10 local'],
+	)
+
+	await runAction(instance, 'undo_last_route')
+	await sleep(150)
+	await runAction(instance, 'undo_last_route')
+	await sleep(150)
+	assert.equal(sim.routes[2], 8)
+	assert.equal(instance.redoStack.length, 2)
+})
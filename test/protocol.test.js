@@ -0,0 +1,42 @@
+// test/protocol.test.js
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { etlChecksumForPacket, pkt, checkFrame, EtlFrameDecoder } = require('../src/protocol')
+
+test('pkt wraps the body in braces and appends the checksum', () => {
+	const frame = pkt('AB?')
+	assert.equal(frame.slice(0, -1), '{AB?}')
+	assert.equal(frame.slice(-1), etlChecksumForPacket('{AB?}'))
+})
+
+test('checkFrame accepts a good reply and rejects checksum and address errors', () => {
+	const good = pkt('BAQOOOO')
+	assert.equal(checkFrame(good, 'BA'), null)
+
+	const corrupt = good.slice(0, -1) + (good.slice(-1) === '!' ? '"' : '!')
+	assert.equal(checkFrame(corrupt, 'BA').kind, 'checksum')
+
+	assert.equal(checkFrame(pkt('CAQOOOO'), 'BA').kind, 'address')
+})
+
+test('decoder reassembles frames split across chunks', () => {
+	const decoder = new EtlFrameDecoder({ replyPrefix: 'BA' })
+	const data = pkt('BASTATUS,001,002,O,O,O,O') + '\r\n'
+	assert.deepEqual(decoder.push(data.slice(0, 7)), [])
+	const out = decoder.push(data.slice(7))
+	assert.equal(out.length, 1)
+	assert.equal(out[0].error, null)
+	assert.equal(out[0].frame, data.trim())
+})
+
+test('decoder splits merged frames and flags the bad ones', () => {
+	const decoder = new EtlFrameDecoder({ replyPrefix: 'BA' })
+	const a = pkt('BAQOOOO')
+	const b = pkt('BAQOFOO')
+	const corrupt = b.slice(0, -1) + (b.slice(-1) === '!' ? '"' : '!')
+	const out = decoder.push(`${a}\r\n${corrupt}\r\n{BAST${a}`)
+	assert.deepEqual(
+		out.map((r) => r.error?.kind ?? null),
+		[null, 'checksum', 'framing', null],
+	)
+})
@@ -0,0 +1,30 @@
+// test/schedule.test.js
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseDays, clockAfter, createEntry, revertAt, nextStart, formatCountdown } = require('../src/schedule')
+
+const at = (text) => Date.parse(`${text}Z`)
+
+test('recurring entries find the next matching day', () => {
+	// 2026-03-06 is a Friday
+	const mon = parseDays('Mon')
+	assert.equal(clockAfter(14 * 3600, at('2026-03-06T15:00:00'), true, mon), at('2026-03-09T14:00:00'))
+	assert.equal(clockAfter(14 * 3600, at('2026-03-06T13:00:00'), true), at('2026-03-06T14:00:00'))
+	assert.throws(() => parseDays('mon,funday'), /unknown day/)
+})
+
+test('a one-off entry with a clock revert reverts after its start', () => {
+	const now = at('2026-03-06T10:00:00')
+	const entry = createEntry({ id: 1, output: 3, input: 5, start: '14:00', revert: '15:30' }, now, true)
+	assert.equal(entry.nextAt, at('2026-03-06T14:00:00'))
+	assert.equal(revertAt(entry, entry.nextAt, true), at('2026-03-06T15:30:00'))
+	assert.equal(nextStart(entry, entry.nextAt, true), null)
+
+	assert.throws(() => createEntry({ id: 2, output: 1, input: 1, start: '2026-03-01 10:00' }, now, true), /past/)
+	assert.throws(() => createEntry({ id: 2, output: 1, input: 1, start: '25:00', repeat: 'recurring' }, now, true))
+})
+
+test('countdown shows hours and days', () => {
+	assert.equal(formatCountdown(3723000), '1:02:03')
+	assert.equal(formatCountdown(90000000), '1d 1:00:00')
+})
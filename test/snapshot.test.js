@@ -0,0 +1,58 @@
+// test/snapshot.test.js
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { snapshotFormat, buildSnapshot, formatSnapshot, parseSnapshot } = require('../src/snapshot')
+
+const snapshot = buildSnapshot({
+	outputs: 3,
+	inputs: 2,
+	currentSources: [2, 1],
+	outputAliases: ['OUT1', 'Feed "A"', 'OUT3'],
+	inputAliases: ['SAT1', 'SAT2'],
+	time: new Date('2026-01-01T00:00:00Z'),
+})
+
+test('format follows the extension unless chosen', () => {
+	assert.equal(snapshotFormat('a/routing.CSV'), 'csv')
+	assert.equal(snapshotFormat('routing.txt'), 'json')
+	assert.equal(snapshotFormat('routing.csv', 'json'), 'json')
+})
+
+test('JSON and CSV snapshots read back the same routes and size', () => {
+	for (const format of ['json', 'csv']) {
+		const back = parseSnapshot(formatSnapshot(snapshot, format), format)
+		assert.equal(back.outputs, 3)
+		assert.equal(back.inputs, 2)
+		// output 3 is unknown and not restored
+		assert.deepEqual(back.routes, [
+			{ output: 1, input: 2 },
+			{ output: 2, input: 1 },
+		])
+	}
+	assert.match(formatSnapshot(snapshot, 'csv'), /^2,"Feed ""A""",1,SAT1\r$/m)
+})
+
+test('the off crosspoint is kept apart from an unknown route', () => {
+	const snap = buildSnapshot({
+		outputs: 3,
+		inputs: 2,
+		currentSources: [0, undefined, 2],
+		outputAliases: [],
+		inputAliases: [],
+	})
+	assert.deepEqual(
+		snap.routes.map((r) => r.input),
+		[0, null, 2],
+	)
+	for (const format of ['json', 'csv']) {
+		assert.deepEqual(parseSnapshot(formatSnapshot(snap, format), format).routes, [
+			{ output: 1, input: 0 },
+			{ output: 3, input: 2 },
+		])
+	}
+})
+
+test('a malformed file is rejected', () => {
+	assert.throws(() => parseSnapshot('{"routes": 5}', 'json'), /no routes/)
+	assert.throws(() => parseSnapshot('output,output_alias,input\nx,OUT1,2', 'csv'), /bad row/)
+})
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// tools/etl-simulator.js
+//
+// Offline ETL RF matrix for local testing. Speaks the subset of the ETL ASCII
+// protocol this module uses: `?` full status, `Q` quick status, `T?` alias
+// dump, `s,ooo,iii` switch and `T,<I|O>,nnn,<alias>` alias write.
+//
+//   node tools/etl-simulator.js --port 4000 --inputs 16 --outputs 16
+//
+// Faults can be injected to exercise the module's error handling, see --help.
+const net = require('net')
+const { EventEmitter } = require('events')
+const { pkt, EtlFrameDecoder } = require('../src/protocol')
+
+const pad3 = (n) => String(n).padStart(3, '0')
+
+/**
+ * Simulated matrix. `routes[o - 1]` is the input feeding output o.
+ * `flags` hold the PSU1, PSU2, interlink and summary alarm states, 'O' ok or 'F' fault.
+ * `faults` may be changed while running:
+ *   dropNext / corruptNext  count of upcoming replies to drop or send with a bad checksum
+ *   dropRate / corruptRate  probability (0..1) of the same for every reply
+ *   split                   send replies in two chunks
+ *   delayMs                 wait before replying
+ *   nakSwitchNext           count of upcoming switches to refuse with NAK
+ *   ignoreSwitchNext        count of upcoming switches to acknowledge but not make
+ * Emits 'request' (body) for every valid frame received.
+ */
+class EtlSimulator extends EventEmitter {
+	constructor({
+		inputs = 16,
+		outputs = 16,
+		address = 'A',
+		controller = 'B',
+		inputAliases = null,
+		outputAliases = null,
+		flags = null,
+		faults = null,
+	} = {}) {
+		super()
+		this.inputs = inputs
+		this.outputs = outputs
+		this.address = address
+		this.controller = controller
+		this.inputAliases = inputAliases || Array.from({ length: inputs }, (_, i) => `IN${i + 1}`)
+		this.outputAliases = outputAliases || Array.from({ length: outputs }, (_, o) => `OUT${o + 1}`)
+		this.routes = Array.from({ length: outputs }, (_, o) => (o % inputs) + 1)
+		this.flags = { psu1: 'O', psu2: 'O', link: 'O', summary: 'O', ...flags }
+		this.faults = {
+			dropNext: 0,
+			corruptNext: 0,
+			dropRate: 0,
+			corruptRate: 0,
+			split: false,
+			delayMs: 0,
+			nakSwitchNext: 0,
+			ignoreSwitchNext: 0,
+			...faults,
+		}
+		this.server = null
+		this.sockets = new Set()
+	}
+
+	listen(port = 0, host = '127.0.0.1') {
+		return new Promise((resolve, reject) => {
+			this.server = net.createServer((socket) => this.onConnection(socket))
+			this.server.once('error', reject)
+			this.server.listen(port, host, () => resolve(this.server.address().port))
+		})
+	}
+
+	close() {
+		for (const socket of this.sockets) socket.destroy()
+		this.sockets.clear()
+		if (!this.server) return Promise.resolve()
+		const server = this.server
+		this.server = null
+		return new Promise((resolve) => server.close(() => resolve()))
+	}
+
+	onConnection(socket) {
+		this.sockets.add(socket)
+		// requests travel controller -> matrix, so DA is us and SA the controller
+		const decoder = new EtlFrameDecoder({ replyPrefix: `${this.address}${this.controller}` })
+		socket.on('data', (buf) => {
+			for (const { frame, error } of decoder.push(buf.toString('ascii'))) {
+				if (error) continue // a real matrix ignores a damaged request
+				const body = frame.slice(3, -2)
+				this.emit('request', body)
+				const reply = this.handle(body)
+				if (reply != null) this.reply(socket, reply)
+			}
+		})
+		socket.on('error', () => {})
+		socket.on('close', () => this.sockets.delete(socket))
+	}
+
+	/** Answer one request body (without addresses). Returns the reply body or null. */
+	handle(body) {
+		const f = this.flags
+		if (body === '?') {
+			return `STATUS,${this.routes.map(pad3).join(',')},${f.psu1},${f.psu2},${f.link},${f.summary}`
+		}
+		if (body === 'Q') return `Q${f.psu1}${f.psu2}${f.link}${f.summary}`
+		if (body === 'T?') return `T?,${[...this.outputAliases, ...this.inputAliases].join(',')}`
+
+		let m = body.match(/^s,(\d{3}),(\d{3})$/)
+		if (m) {
+			const o = Number(m[1])
+			const i = Number(m[2])
+			if (o < 1 || o > this.outputs || i < 0 || i > this.inputs) return 'NAK'
+			if (this.faults.nakSwitchNext > 0) {
+				this.faults.nakSwitchNext--
+				return 'NAK'
+			}
+			if (this.faults.ignoreSwitchNext > 0) {
+				this.faults.ignoreSwitchNext--
+				return body
+			}
+			this.routes[o - 1] = i
+			return body
+		}
+		m = body.match(/^T,([IO]),(\d{3}),(.+)$/)
+		if (m) {
+			const list = m[1] === 'I' ? this.inputAliases : this.outputAliases
+			const n = Number(m[2])
+			if (n < 1 || n > list.length) return 'NAK'
+			list[n - 1] = m[3]
+			return body
+		}
+		return 'NAK'
+	}
+
+	reply(socket, body) {
+		const faults = this.faults
+		if (faults.dropNext > 0 || Math.random() < faults.dropRate) {
+			if (faults.dropNext > 0) faults.dropNext--
+			return
+		}
+		let frame = pkt(`${this.controller}${this.address}${body}`)
+		if (faults.corruptNext > 0 || Math.random() < faults.corruptRate) {
+			if (faults.corruptNext > 0) faults.corruptNext--
+			const bad = String.fromCharCode(((frame.charCodeAt(frame.length - 1) - 32 + 1) % 95) + 32)
+			frame = frame.slice(0, -1) + bad
+		}
+		const data = frame + '\r\n'
+		const send = () => {
+			if (socket.destroyed) return
+			if (!faults.split) return socket.write(data, 'ascii')
+			const cut = Math.max(1, Math.floor(data.length / 2))
+			socket.write(data.slice(0, cut), 'ascii')
+			setTimeout(() => !socket.destroyed && socket.write(data.slice(cut), 'ascii'), 20)
+		}
+		if (faults.delayMs > 0) setTimeout(send, faults.delayMs)
+		else send()
+	}
+}
+
+function parseArgs(argv) {
+	const opts = { port: 4000, inputs: 16, outputs: 16, flags: {}, faults: {} }
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i]
+		const next = () => argv[++i]
+		if (arg === '--port') opts.port = Number(next())
+		else if (arg === '--inputs') opts.inputs = Number(next())
+		else if (arg === '--outputs') opts.outputs = Number(next())
+		else if (arg === '--input-aliases') opts.inputAliases = next().split(',')
+		else if (arg === '--output-aliases') opts.outputAliases = next().split(',')
+		else if (arg === '--alarm') opts.flags[next()] = 'F'
+		else if (arg === '--drop-rate') opts.faults.dropRate = Number(next())
+		else if (arg === '--corrupt-rate') opts.faults.corruptRate = Number(next())
+		else if (arg === '--delay') opts.faults.delayMs = Number(next())
+		else if (arg === '--split') opts.faults.split = true
+		else if (arg === '--help') opts.help = true
+		else throw new Error(`Unknown argument ${arg}`)
+	}
+	return opts
+}
+
+if (require.main === module) {
+	const opts = parseArgs(process.argv.slice(2))
+	if (opts.help) {
+		console.log(`Usage: node tools/etl-simulator.js [options]
+  --port <n>                 TCP port (default 4000)
+  --inputs <n>, --outputs <n> matrix size (default 16x16)
+  --input-aliases a,b,...    input aliases
+  --output-aliases a,b,...   output aliases
+  --alarm <psu1|psu2|link|summary>  start with that flag in fault, repeatable
+  --drop-rate <0..1>         drop this share of replies
+  --corrupt-rate <0..1>      send this share of replies with a bad checksum
+  --delay <ms>               delay every reply
+  --split                    send every reply in two chunks`)
+		process.exit(0)
+	}
+	const sim = new EtlSimulator(opts)
+	sim.on('request', (body) => console.log(`RX ${body}`))
+	sim.listen(opts.port, '0.0.0.0').then((port) => {
+		console.log(`ETL simulator ${opts.outputs}x${opts.inputs} listening on port ${port}`)
+	})
+}
+
+module.exports = { EtlSimulator }